@@ -0,0 +1,9 @@
+document.addEventListener("DOMContentLoaded", () => {
+  // Render the interactive API reference from the live OpenAPI document
+  window.ui = SwaggerUIBundle({
+    url: "/api/openapi.json",
+    dom_id: "#swagger-ui",
+    deepLinking: true,
+    persistAuthorization: true,
+  });
+});
@@ -4,6 +4,7 @@ document.addEventListener("DOMContentLoaded", () => {
   const resultsArea = document.getElementById("resultsArea");
   const loadingDiv = document.getElementById("loading");
   const fileChosenText = document.getElementById("file-chosen-text");
+  const apiKeyInput = document.getElementById("apiKey");
 
   let selectedFiles = [];
   let placeholderIdCounter = 0;
@@ -17,6 +18,30 @@ document.addEventListener("DOMContentLoaded", () => {
     console.warn("PDF.js library not found. PDF processing will not work.");
   }
 
+  // Servers with API keys configured reject requests without one; the key is
+  // remembered in this browser only
+  apiKeyInput.value = localStorage.getItem("ocrApiKey") || "";
+  apiKeyInput.addEventListener("change", () => {
+    localStorage.setItem("ocrApiKey", apiKeyInput.value.trim());
+  });
+
+  // Request headers for the OCR API, plus the API key when one was entered
+  function apiHeaders(headers) {
+    const apiKey = apiKeyInput.value.trim();
+    return apiKey ? { ...headers, "X-API-Key": apiKey } : headers;
+  }
+
+  // Error for a failed API response, explaining a missing or wrong API key
+  function httpError(response) {
+    const error = new Error(
+      response.status === 401
+        ? "The server requires a valid API key. Enter it above and try again."
+        : `HTTP error! Status: ${response.status}`
+    );
+    error.status = response.status;
+    return error;
+  }
+
   imageUpload.addEventListener("change", (event) => {
     selectedFiles = Array.from(event.target.files);
     if (selectedFiles.length > 0) {
@@ -99,13 +124,13 @@ document.addEventListener("DOMContentLoaded", () => {
       fetch("/api/ocr/base64", {
         method: "POST",
         body: JSON.stringify({ imageBase64, originalFileName: fileName }),
-        headers: {
+        headers: apiHeaders({
           "Content-Type": "application/json",
-        },
+        }),
       })
         .then((response) => {
           if (!response.ok) {
-            throw new Error(`HTTP error! Status: ${response.status}`);
+            throw httpError(response);
           }
           return response.json();
         })
@@ -132,7 +157,9 @@ document.addEventListener("DOMContentLoaded", () => {
             placeholderId,
             {
               success: false,
-              error: "Network error or invalid response from server.",
+              error: error.status
+                ? error.message
+                : "Network error or invalid response from server.",
               fileName: fileName,
               credentialUsed: "N/A",
             },
@@ -237,6 +264,9 @@ document.addEventListener("DOMContentLoaded", () => {
       const imageTasks = fileTasks.filter((task) => task.type === "image");
       if (imageTasks.length === 0) return;
 
+      // Tasks whose result has not been rendered yet
+      const pendingTasks = new Set(imageTasks);
+
       try {
         // Convert all images to base64 in parallel
         const imageDataPromises = imageTasks.map((task) => {
@@ -257,53 +287,60 @@ document.addEventListener("DOMContentLoaded", () => {
         // Wait for all images to be processed to base64
         const imagesData = await Promise.all(imageDataPromises);
 
-        // Send the batch to the server
+        // Send the batch to the server and ask for results to be streamed back
         const response = await fetch("/api/ocr/base64", {
           method: "POST",
-          headers: {
+          headers: apiHeaders({
             "Content-Type": "application/json",
-          },
+            Accept: "application/x-ndjson",
+          }),
           body: JSON.stringify(imagesData),
         });
 
         if (!response.ok) {
-          throw new Error(`HTTP error! Status: ${response.status}`);
+          throw httpError(response);
         }
 
-        const batchResults = await response.json();
-        console.log("Batch processing results:", batchResults);
-
-        // Process the results
-        if (batchResults.results && Array.isArray(batchResults.results)) {
-          // Map results to placeholders using file names
-          const fileNameToPlaceholderId = {};
-          imageTasks.forEach((task) => {
-            fileNameToPlaceholderId[task.file.name] = task.placeholderId;
-          });
-
-          batchResults.results.forEach((result) => {
-            const placeholderId = fileNameToPlaceholderId[result.fileName];
-            if (placeholderId) {
-              updatePlaceholder(placeholderId, result, result.fileName);
+        // Render each result as soon as its line arrives
+        await readNdjsonStream(response, (event) => {
+          if (event.type === "result") {
+            const task = imageTasks[event.index];
+            if (task) {
+              pendingTasks.delete(task);
+              updatePlaceholder(
+                task.placeholderId,
+                event.result,
+                task.file.name
+              );
             }
-          });
+          } else if (event.type === "meta") {
+            console.log("Batch processing results:", event.meta);
 
-          // Add batch processing summary
-          const summaryDiv = document.createElement("div");
-          summaryDiv.className = "batch-summary";
-          summaryDiv.innerHTML = `
+            // Add batch processing summary
+            const summaryDiv = document.createElement("div");
+            summaryDiv.className = "batch-summary";
+            summaryDiv.innerHTML = `
             <h3>Batch Processing Summary</h3>
             <p>Processed ${
-              batchResults.meta.processedCount
-            } files in ${batchResults.meta.batchProcessingTime.toFixed(
-            2
-          )} seconds</p>
+              event.meta.processedCount
+            } files in ${event.meta.batchProcessingTime.toFixed(
+              2
+            )} seconds (${event.meta.succeededCount} succeeded, ${
+              event.meta.failedCount
+            } failed)</p>
           `;
-          resultsArea.insertBefore(summaryDiv, resultsArea.firstChild);
+            resultsArea.insertBefore(summaryDiv, resultsArea.firstChild);
+          } else if (event.type === "error") {
+            throw new Error(event.error);
+          }
+        });
+
+        if (pendingTasks.size > 0) {
+          throw new Error("Stream ended before all results were received.");
         }
       } catch (error) {
         console.error("Batch processing error:", error);
-        imageTasks.forEach((task) => {
+        pendingTasks.forEach((task) => {
           updatePlaceholderWithClientError(
             task.placeholderId,
             task.file.name,
@@ -376,6 +413,29 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   });
 
+  // Read a newline-delimited JSON response, calling onEvent for every line
+  async function readNdjsonStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let newlineIndex;
+      while ((newlineIndex = buffer.indexOf("\n")) !== -1) {
+        const line = buffer.slice(0, newlineIndex).trim();
+        buffer = buffer.slice(newlineIndex + 1);
+        if (line) onEvent(JSON.parse(line));
+      }
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim()) onEvent(JSON.parse(buffer));
+  }
+
   function escapeHTML(str) {
     if (typeof str !== "string") return "";
     return str.replace(/[&<>"'\/]/g, function (match) {
@@ -1,83 +1,212 @@
 const express = require("express");
 const cors = require("cors");
 const multer = require("multer");
-// Rate limiting removed for performance testing
-// const { rateLimit } = require("express-rate-limit");
 const helmet = require("helmet");
 const path = require("path");
 const fs = require("fs").promises;
-const winston = require("winston");
 require("dotenv").config();
 
 // Import the direct API OCR service (much faster than Google API client-based service)
 const {
   performOcr,
   preWarmAuthTokens,
+  checkReadiness,
+  deleteOrphanedTempDocs,
+  cleanupTempFiles,
 } = require("./services/directApiOcrService");
+const {
+  enqueueJob,
+  getJob,
+  describeJob,
+  getJobResult,
+  getQueueRetryAfter,
+  stopQueue,
+} = require("./services/jobQueue");
+const { mapWithConcurrency } = require("./services/concurrency");
+const {
+  requireApiKey,
+  requirePageQuota,
+  chargeAdditionalPages,
+  describeUsage,
+  getKeyOwner,
+} = require("./services/apiKeyService");
+const {
+  validateCallbackUrl,
+  scheduleDelivery,
+  getDelivery,
+} = require("./services/webhookService");
+const {
+  getStreamFormat,
+  openResultStream,
+} = require("./services/resultStream");
+const { ErrorCodes } = require("./services/errorCodes");
+const {
+  getCachePolicy,
+  getCacheKey,
+  getOrCompute,
+} = require("./services/resultCache");
+const { idempotency } = require("./services/idempotency");
+const { fetchRemoteDocument } = require("./services/urlFetcher");
+const { ocrPdf, isPdfRenderingAvailable } = require("./services/pdfService");
+const { ocrTiff } = require("./services/tiffService");
+const { resolveFileType } = require("./services/fileType");
+const { postprocessText } = require("./services/textPostprocessing");
+const { extractEntities } = require("./services/entityExtraction");
+const { extractTemplateFields } = require("./services/templateExtraction");
+const { classifyText } = require("./services/documentClassifier");
+const {
+  DEFAULT_OUTPUT_FORMAT,
+  getOutputFormat,
+} = require("./services/outputFormats");
+const {
+  preprocessImage,
+  fitImageToSize,
+} = require("./services/imageProcessing");
+const {
+  requestMetricsMiddleware,
+  metricsHandler,
+} = require("./services/metrics");
+const {
+  validateWithOpenApi,
+  validateImageItem,
+  spec: openApiSpec,
+} = require("./services/openapiValidator");
+const {
+  formatResult,
+  sendError,
+  sendBatch,
+  buildBatchMeta,
+  sendData,
+} = require("./services/responseFormat");
+const { boundedMemoryStorage } = require("./services/uploadStorage");
+const logger = require("./services/logger");
 
 // Create Express app
 const app = express();
 const port = process.env.PORT || 5000;
+// Maximum number of files OCR'd at once within a single batch
+const BATCH_CONCURRENCY = parseInt(process.env.OCR_BATCH_CONCURRENCY, 10) || 4;
+// Maximum number of items in one base64 batch or job. URL items are tiny in
+// the body but each may download up to URL_FETCH_MAX_BYTES.
+const MAX_BATCH_ITEMS = parseInt(process.env.OCR_MAX_BATCH_ITEMS, 10) || 100;
+// How long shutdown waits for items being processed before giving up on them
+const SHUTDOWN_TIMEOUT_MS =
+  parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 25000;
+let shuttingDown = false;
+// Items being processed, of synchronous requests and of jobs
+const activeItems = new Set();
 
-// Configure logger
-const logger = winston.createLogger({
-  level: "info",
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.printf(
-      (info) => `${info.timestamp} ${info.level}: ${info.message}`
-    )
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: "error.log", level: "error" }),
-    new winston.transports.File({ filename: "combined.log" }),
-  ],
-});
+// Largest file sent to Google Drive for OCR
+const MAX_OCR_FILE_SIZE = 5 * 1024 * 1024; // 5MB, matching PHP version
+// What to do with files over MAX_OCR_FILE_SIZE unless an item says otherwise
+const DEFAULT_OVERSIZE_MODE =
+  process.env.OCR_OVERSIZE_MODE === "fit" ? "fit" : "reject";
+// Largest file accepted. Only servers defaulting to "fit" accept files over
+// MAX_OCR_FILE_SIZE, so they can be shrunk to fit (or split, for PDFs); in
+// "reject" mode larger uploads and bodies are refused before being buffered.
+const MAX_INPUT_FILE_SIZE =
+  DEFAULT_OVERSIZE_MODE === "fit"
+    ? parseInt(process.env.OCR_MAX_INPUT_BYTES, 10) || 20 * 1024 * 1024
+    : MAX_OCR_FILE_SIZE;
+// One base64 encoded input file plus room for the rest of the JSON
+const MAX_BODY_SIZE = Math.ceil((MAX_INPUT_FILE_SIZE * 4) / 3) + 1024 * 1024;
+// Total size of the files of one multipart request, all buffered in memory
+const MAX_UPLOAD_SIZE = Math.max(
+  parseInt(process.env.OCR_MAX_UPLOAD_BYTES, 10) || 50 * 1024 * 1024,
+  MAX_INPUT_FILE_SIZE
+);
+
+const formatMegabytes = (bytes) =>
+  `${Math.round((bytes / (1024 * 1024)) * 10) / 10}MB`;
 
 // Middleware
 app.use(helmet());
 app.use(cors());
-// Use the same 5MB limit for JSON bodies and form uploads
-app.use(express.json({ limit: "5mb" }));
-app.use(express.urlencoded({ extended: true, limit: "5mb" }));
+app.use(express.json({ limit: MAX_BODY_SIZE }));
+app.use(express.urlencoded({ extended: true, limit: MAX_BODY_SIZE }));
 
-// Configure storage for file uploads
-const storage = multer.memoryStorage();
+// Configure storage for file uploads, in memory up to MAX_UPLOAD_SIZE per
+// request. Their declared types are not filtered here: resolveFileType checks
+// every file against its content (accepting aliases such as image/x-png) and
+// fails unsupported files individually.
+const storage = boundedMemoryStorage(MAX_UPLOAD_SIZE);
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit, matching PHP version
-  },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      "image/jpeg",
-      "image/png",
-      "image/gif",
-      "image/bmp",
-      "image/webp",
-      "application/pdf",
-    ];
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error("Invalid file type. Only images and PDFs are allowed."));
-    }
+    fileSize: MAX_INPUT_FILE_SIZE,
+    files: MAX_BATCH_ITEMS,
   },
 });
 
-// Rate limiting completely removed for performance testing
+// Count requests by route and status for the /metrics endpoint
+app.use(requestMetricsMiddleware);
 
-// Simple request counter for monitoring load instead
-let requestCount = 0;
+// Refuse new work once shutdown has started (requests on kept-alive connections)
 app.use((req, res, next) => {
-  requestCount++;
-  if (requestCount % 100 === 0) {
-    logger.info(`Request count: ${requestCount}`);
-  }
-  next();
+  if (!shuttingDown) return next();
+  res.set("Connection", "close");
+  sendError(
+    req,
+    res,
+    503,
+    ErrorCodes.SHUTTING_DOWN,
+    "Server is shutting down. Retry on another instance."
+  );
 });
 
+// OCR routes, served both on the original /api/ocr surface and on /api/v2/ocr
+const ocrRouter = express.Router();
+
+// Number of images/files in a request
+function countRequestItems(req) {
+  if (req.files && req.files.length > 0) return req.files.length;
+  return Array.isArray(req.body) ? req.body.length : 1;
+}
+
+// Charge the number of images/pages in the request against the key's page quota
+const chargePages = requirePageQuota(countRequestItems);
+
+// Charges the selected pages of a split PDF or TIFF beyond the one chargePages
+// counted for its item, before they are OCRed. A rejected charge fails the
+// item, and the response is not stored for Idempotency-Key replays so a retry
+// after the quota resets runs again.
+function selectedPageCharger(req, res) {
+  return (pageCount) => {
+    const quotaError = chargeAdditionalPages(req.apiKey, pageCount - 1);
+    if (quotaError) res.locals.idempotencyRetryable = true;
+    return quotaError;
+  };
+}
+
+// Reject base64 batches with more than MAX_BATCH_ITEMS items before they are
+// charged or processed
+function limitBatchSize(req, res, next) {
+  if (!Array.isArray(req.body) || req.body.length <= MAX_BATCH_ITEMS) {
+    return next();
+  }
+  sendError(
+    req,
+    res,
+    400,
+    ErrorCodes.VALIDATION_ERROR,
+    `Too many items: ${req.body.length}. A request may contain at most ${MAX_BATCH_ITEMS} items.`
+  );
+}
+
+// Refuse jobs the queue has no room for, before their pages are charged
+function rejectWhenQueueFull(req, res, next) {
+  const retryAfter = getQueueRetryAfter(countRequestItems(req));
+  if (!retryAfter) return next();
+  res.set("Retry-After", String(retryAfter));
+  sendError(
+    req,
+    res,
+    503,
+    ErrorCodes.QUEUE_FULL,
+    `The job queue is full. Retry after ${retryAfter}s.`
+  );
+}
+
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, "public")));
 
@@ -86,228 +215,1128 @@ app.get("/health", (req, res) => {
   res.status(200).json({ status: "ok", uptime: process.uptime() });
 });
 
-// OCR endpoint for base64 image data
-app.post("/api/ocr/base64", async (req, res) => {
+// Readiness check: can this instance actually OCR? Used as Render's health check
+app.get("/ready", async (req, res) => {
+  if (shuttingDown) {
+    return res.status(503).json({ status: "shutting_down" });
+  }
+  try {
+    const readiness = await checkReadiness();
+    res.status(readiness.ready ? 200 : 503).json({
+      status: readiness.ready ? "ready" : "unavailable",
+      uptime: process.uptime(),
+      ...readiness,
+    });
+  } catch (error) {
+    logger.error(`Readiness check failed: ${error.message}`);
+    res.status(503).json({ status: "unavailable", error: error.message });
+  }
+});
+
+// Prometheus metrics
+app.get("/metrics", metricsHandler);
+
+// OpenAPI document and the assets for the interactive docs page (public/docs.html)
+app.get("/api/openapi.json", (req, res) => {
+  res.json(openApiSpec);
+});
+app.use(
+  "/docs/swagger-ui",
+  express.static(require("swagger-ui-dist").getAbsoluteFSPath())
+);
+
+// Webhook URL from the query string, a single-object JSON body or a multipart field
+function getCallbackUrl(req) {
+  if (req.query.callbackUrl) return req.query.callbackUrl;
+  if (req.body && !Array.isArray(req.body) && req.body.callbackUrl) {
+    return req.body.callbackUrl;
+  }
+  return null;
+}
+
+// Reject the request early when the callback URL is unusable
+function rejectInvalidCallbackUrl(req, res, callbackUrl) {
+  const callbackError = validateCallbackUrl(callbackUrl);
+  if (!callbackError) return false;
+  sendError(req, res, 400, ErrorCodes.INVALID_CALLBACK_URL, callbackError);
+  return true;
+}
+
+// Failed item result for input that never reached performOcr
+function itemError(fileName, errorCode, error, itemStartTime) {
+  return {
+    fileName,
+    success: false,
+    error,
+    errorCode,
+    timing: { item_duration: (Date.now() - itemStartTime) / 1000 },
+  };
+}
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+// Decode base64 text, returning null when it is not valid base64
+function decodeBase64(data) {
+  const compact = data.replace(/\s+/g, "");
+  if (compact.length % 4 === 1 || !BASE64_PATTERN.test(compact)) {
+    return null;
+  }
+  return Buffer.from(compact, "base64");
+}
+
+// Documents split into pages server-side, with the splitter for each type and
+// whether it applies. TIFFs are always split; PDFs when the server can render
+// them (always when a page range is requested).
+const PAGED_DOCUMENT_TYPES = {
+  "application/pdf": {
+    ocr: ocrPdf,
+    shouldSplit: (pages) => Boolean(pages) || isPdfRenderingAvailable(),
+  },
+  "image/tiff": {
+    ocr: ocrTiff,
+    shouldSplit: () => true,
+  },
+};
+
+// OCR a document through the result cache. Identical documents with the same
+// options are only sent to Google once. Multi-page documents are OCRed page
+// by page (see PAGED_DOCUMENT_TYPES). Text postprocessing, entity extraction,
+// template fields and classification run on the caller's copy of the result,
+// so they are not part of the cache key.
+async function ocrDocument(data, fileName, mimeType, ocrOptions, cachePolicy) {
+  const {
+    preprocess = null,
+    outputFormat = DEFAULT_OUTPUT_FORMAT,
+    tables = null,
+    language = null,
+    postprocess = null,
+    extract = null,
+    template = null,
+    classify = null,
+  } = ocrOptions;
+  const pagedType = PAGED_DOCUMENT_TYPES[mimeType];
+
+  let result;
+  if (pagedType && pagedType.shouldSplit(ocrOptions.pages)) {
+    const key = getCacheKey(data, {
+      mimeType,
+      pages: ocrOptions.pages || "all",
+      preprocess,
+      outputFormat,
+      tables,
+      language,
+    });
+    const ocrPage = (image, pageFileName) =>
+      preprocessAndOcr(image, pageFileName, "image/png", ocrOptions);
+    result = await getOrCompute(
+      key,
+      fileName,
+      () =>
+        pagedType.ocr(data, fileName, ocrPage, {
+          pages: ocrOptions.pages,
+          chargePages: ocrOptions.chargePages,
+        }),
+      cachePolicy
+    );
+  } else {
+    const key = getCacheKey(data, {
+      mimeType,
+      preprocess,
+      outputFormat,
+      tables,
+      language,
+    });
+    result = await getOrCompute(
+      key,
+      fileName,
+      () => preprocessAndOcr(data, fileName, mimeType, ocrOptions),
+      cachePolicy
+    );
+  }
+
+  if (postprocess) applyPostprocess(result, postprocess);
+  if (extract) applyExtraction(result, extract);
+  // A failed item has no text to read fields or a document type from
+  if (!result.success) return result;
+  if (template && typeof result.text === "string") {
+    result.extraction = extractTemplateFields(result.text, template);
+  }
+  if (classify) applyClassification(result, classify);
+  return result;
+}
+
+// Clean up the text of a result and of its pages with the requested
+// postprocessing steps, keeping the exported text as rawText
+function applyPostprocess(result, postprocess) {
+  for (const target of [result, ...(result.pages || [])]) {
+    if (typeof target.text !== "string") continue;
+    const cleaned = postprocessText(target.text, postprocess);
+    target.rawText = target.text;
+    target.text = cleaned.text;
+    target.postprocessing = { applied: cleaned.applied };
+  }
+}
+
+// Find the requested entity types in the (postprocessed) text of a result and
+// of its pages; offsets refer to that text
+function applyExtraction(result, extract) {
+  for (const target of [result, ...(result.pages || [])]) {
+    if (typeof target.text !== "string") continue;
+    target.entities = extractEntities(target.text, extract);
+  }
+}
+
+// Document content left out of results and their pages with classify "only"
+const CONTENT_FIELDS = [
+  "text",
+  "rawText",
+  "output",
+  "tables",
+  "entities",
+  "extraction",
+];
+
+// Classify a result by its text; in "only" mode the document content is then
+// left out of the response
+function applyClassification(result, classify) {
+  if (typeof result.text !== "string") return;
+  const { documentType, ...classification } = classifyText(result.text);
+  result.documentType = documentType;
+  result.classification = classification;
+  if (classify !== "only") return;
+  for (const target of [result, ...(result.pages || [])]) {
+    for (const field of CONTENT_FIELDS) delete target[field];
+  }
+}
+
+// performOcr, running the requested preprocessing steps on the image first
+async function preprocessAndOcr(data, fileName, mimeType, ocrOptions) {
+  const { preprocess, outputFormat, tables, language } = ocrOptions;
+  const driveOptions = { outputFormat, tables, language };
+  if (!preprocess) {
+    return performOcr(data, fileName, mimeType, driveOptions);
+  }
+
+  const preprocessStartTime = Date.now();
+  let processed;
+  try {
+    processed = await preprocessImage(data, preprocess);
+  } catch (error) {
+    logger.warn(`Preprocessing failed for ${fileName}: ${error.message}`);
+    return itemError(
+      fileName,
+      error.code || ErrorCodes.PREPROCESS_FAILED,
+      error.message,
+      preprocessStartTime
+    );
+  }
+  const preprocessDuration = (Date.now() - preprocessStartTime) / 1000;
+
+  const result = await performOcr(
+    processed.data,
+    fileName,
+    processed.mimeType,
+    driveOptions
+  );
+  result.preprocessing = processed.report;
+  result.timing.preprocess = preprocessDuration;
+  return result;
+}
+
+// Make sure a file fits MAX_OCR_FILE_SIZE. TIFF pages are re-encoded before
+// OCR, so only the input limit applies to them. In "fit" mode oversized images
+// are downscaled and recompressed, and oversized PDFs are accepted when they
+// will be split into pages. Returns { data, mimeType, resized } or
+// { errorCode, error }.
+async function fitToSizeLimit(data, mimeType, oversizeMode) {
+  if (data.length <= MAX_OCR_FILE_SIZE || mimeType === "image/tiff") {
+    return { data, mimeType };
+  }
+
+  const tooLarge = {
+    errorCode: ErrorCodes.FILE_TOO_LARGE,
+    error: `Decoded image exceeds maximum size of ${formatMegabytes(
+      MAX_OCR_FILE_SIZE
+    )}. Size: ${data.length} bytes.`,
+  };
+  if ((oversizeMode || DEFAULT_OVERSIZE_MODE) !== "fit") return tooLarge;
+
+  if (mimeType === "application/pdf") {
+    return isPdfRenderingAvailable() ? { data, mimeType } : tooLarge;
+  }
+
   try {
-    const globalStartTime = Date.now();
-    let results = [];
-
-    // Check if we have an array of images or a single image
-    const isArrayOfImages = Array.isArray(req.body);
-    const imageDataArray = isArrayOfImages ? req.body : [req.body];
-
-    // Validate that we have at least one image
-    if (imageDataArray.length === 0) {
-      return res.status(400).json([
-        {
-          fileName: "N/A",
-          success: false,
-          error: "No image data provided.",
-        },
-      ]);
+    const fitted = await fitImageToSize(data, MAX_OCR_FILE_SIZE);
+    logger.info(
+      `Shrunk oversized image from ${data.length} to ${fitted.data.length} bytes`
+    );
+    return {
+      data: fitted.data,
+      mimeType: fitted.mimeType,
+      resized: fitted.report,
+    };
+  } catch (error) {
+    return {
+      errorCode: error.code || ErrorCodes.FILE_TOO_LARGE,
+      error: error.message,
+    };
+  }
+}
+
+// File name of a base64 item before it is processed
+function getItemFileName(imageItem) {
+  if (!imageItem || typeof imageItem !== "object") return "N/A";
+  if (imageItem.originalFileName) return imageItem.originalFileName;
+  return imageItem.imageUrl ? fileNameFromUrl(imageItem.imageUrl) : "N/A";
+}
+
+// OCR options of a multipart request, applied to every uploaded file
+function getUploadOcrOptions(req) {
+  return {
+    pages: req.body.pages,
+    preprocess: req.body.preprocess,
+    oversize: req.body.oversize,
+    outputFormat: req.body.outputFormat,
+    tables: req.body.tables,
+    language: req.body.language,
+    postprocess: req.body.postprocess,
+    extract: req.body.extract,
+    template: req.body.template,
+    classify: req.body.classify,
+  };
+}
+
+// Decode an imageBase64 value (data URL or raw base64).
+// Returns { imageData, mimeType } or { errorCode, error }.
+function decodeImageBase64(imageBase64) {
+  let mimeType, base64Payload;
+  if (imageBase64.startsWith("data:")) {
+    const matches = imageBase64.match(/^data:([^;,]+);base64,([\s\S]*)$/);
+    if (!matches) {
+      return {
+        errorCode: ErrorCodes.INVALID_BASE64,
+        error: "Invalid base64 image format.",
+      };
     }
+    // Checked against the content by resolveFileType
+    mimeType = matches[1];
+    base64Payload = matches[2];
+  } else {
+    // Raw base64 data, the type is detected from the content
+    mimeType = null;
+    base64Payload = imageBase64;
+  }
 
-    // Process all images in parallel
-    const processingPromises = imageDataArray.map(async (imageItem) => {
-      const itemStartTime = Date.now();
-
-      // Validate this item has required fields
-      if (!imageItem.imageBase64 || !imageItem.originalFileName) {
-        return {
-          fileName: imageItem.originalFileName || "N/A",
-          success: false,
-          error:
-            "Missing required fields: imageBase64 and/or originalFileName.",
-          timing: { item_duration: (Date.now() - itemStartTime) / 1000 },
-        };
-      }
+  const imageData = decodeBase64(base64Payload);
+  if (!imageData || imageData.length === 0) {
+    return {
+      errorCode: ErrorCodes.INVALID_BASE64,
+      error: "Invalid base64 data.",
+    };
+  }
+  return { imageData, mimeType };
+}
+
+// Download an imageUrl item. Returns { imageData, mimeType } or { errorCode, error }.
+async function downloadImageUrl(imageUrl) {
+  try {
+    const { data, mimeType } = await fetchRemoteDocument(imageUrl);
+    return { imageData: data, mimeType };
+  } catch (fetchError) {
+    logger.warn(`Could not fetch ${imageUrl}: ${fetchError.message}`);
+    return {
+      errorCode: fetchError.code || ErrorCodes.URL_FETCH_FAILED,
+      error: fetchError.message,
+    };
+  }
+}
+
+// File name for a URL item without originalFileName: the last path segment
+function fileNameFromUrl(imageUrl) {
+  try {
+    const segments = new URL(imageUrl).pathname.split("/").filter(Boolean);
+    return decodeURIComponent(segments.pop() || "") || "remote-file";
+  } catch (error) {
+    return "remote-file";
+  }
+}
+
+// Process one item unless shutdown has begun, in which case the item fails
+// with SHUTTING_DOWN. Started items are tracked until they settle, so shutdown
+// waits for whole documents rather than single Drive calls, of which none run
+// between the pages of a split document.
+function runItem(fileName, processItem) {
+  if (shuttingDown) {
+    return Promise.resolve(
+      itemError(
+        fileName,
+        ErrorCodes.SHUTTING_DOWN,
+        "Server is shutting down; the item was not processed. Retry on another instance.",
+        Date.now()
+      )
+    );
+  }
+  const work = processItem();
+  const untrack = () => activeItems.delete(work);
+  activeItems.add(work);
+  work.then(untrack, untrack);
+  return work;
+}
+
+// Wait until no item is being processed, or until the timeout passes.
+// Resolves with the number of items still running.
+async function waitForActiveItems(timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(resolve, Math.max(0, timeoutMs));
+  });
+  await Promise.race([Promise.allSettled([...activeItems]), timeout]);
+  clearTimeout(timer);
+  return activeItems.size;
+}
+
+// Validate, decode or download, and OCR a single JSON image item.
+// `chargeSelectedPages` charges the selected pages of split documents (see
+// selectedPageCharger).
+function processImageItem(imageItem, cachePolicy, chargeSelectedPages) {
+  return runItem(getItemFileName(imageItem), () =>
+    ocrImageItem(imageItem, cachePolicy, chargeSelectedPages)
+  );
+}
+
+async function ocrImageItem(imageItem, cachePolicy, chargeSelectedPages) {
+  const itemStartTime = Date.now();
+
+  // Validate this item against the ImageItem schema of the OpenAPI spec
+  const validationError = validateImageItem(imageItem);
+  if (validationError) {
+    const fileName =
+      imageItem && typeof imageItem.originalFileName === "string"
+        ? imageItem.originalFileName
+        : "";
+    return itemError(
+      fileName || "N/A",
+      validationError.errorCode,
+      validationError.error,
+      itemStartTime
+    );
+  }
+
+  const { imageBase64, imageUrl } = imageItem;
+  const originalFileName =
+    imageItem.originalFileName || fileNameFromUrl(imageUrl);
+
+  const fetchStartTime = Date.now();
+  const decoded = imageUrl
+    ? await downloadImageUrl(imageUrl)
+    : decodeImageBase64(imageBase64);
+  if (decoded.errorCode) {
+    return itemError(
+      originalFileName,
+      decoded.errorCode,
+      decoded.error,
+      itemStartTime
+    );
+  }
+  const urlFetchDuration = imageUrl
+    ? (Date.now() - fetchStartTime) / 1000
+    : null;
+
+  // Check the content against the declared type and use the detected one
+  const fileType = resolveFileType(decoded.imageData, decoded.mimeType);
+  if (fileType.errorCode) {
+    return itemError(
+      originalFileName,
+      fileType.errorCode,
+      fileType.error,
+      itemStartTime
+    );
+  }
+
+  // Validate size, shrinking oversized images in "fit" mode
+  const fitted = await fitToSizeLimit(
+    decoded.imageData,
+    fileType.mimeType,
+    imageItem.oversize
+  );
+  if (fitted.errorCode) {
+    return itemError(
+      originalFileName,
+      fitted.errorCode,
+      fitted.error,
+      itemStartTime
+    );
+  }
+  const { data: imageData, mimeType: extractedMimeType } = fitted;
+
+  // Process the image
+  logger.info(
+    `Processing image: ${originalFileName}, Size: ${imageData.length} bytes`
+  );
+
+  try {
+    const result = await ocrDocument(
+      imageData,
+      originalFileName,
+      extractedMimeType,
+      {
+        pages: imageItem.pages,
+        preprocess: imageItem.preprocess,
+        outputFormat: imageItem.outputFormat,
+        tables: imageItem.tables,
+        language: imageItem.language,
+        postprocess: imageItem.postprocess,
+        extract: imageItem.extract,
+        template: imageItem.template,
+        classify: imageItem.classify,
+        chargePages: chargeSelectedPages,
+      },
+      cachePolicy
+    );
+
+    result.declaredType = fileType.declaredType;
+    result.detectedType = fileType.detectedType;
+    result.language = imageItem.language || null;
+    if (fitted.resized) result.resized = fitted.resized;
+
+    // Add timing info for this specific image
+    if (urlFetchDuration !== null) result.timing.url_fetch = urlFetchDuration;
+    result.timing.item_duration = (Date.now() - itemStartTime) / 1000;
+
+    return result;
+  } catch (ocrError) {
+    logger.error(`Error in OCR for ${originalFileName}: ${ocrError.message}`);
+    return itemError(
+      originalFileName,
+      ErrorCodes.OCR_FAILED,
+      `OCR processing error: ${ocrError.message}`,
+      itemStartTime
+    );
+  }
+}
+
+// OCR a single file received through multer
+function processUploadedFile(
+  file,
+  ocrOptions,
+  cachePolicy,
+  chargeSelectedPages
+) {
+  return runItem(file.originalname, () =>
+    ocrUploadedFile(file, ocrOptions, cachePolicy, chargeSelectedPages)
+  );
+}
+
+async function ocrUploadedFile(
+  file,
+  ocrOptions,
+  cachePolicy,
+  chargeSelectedPages
+) {
+  const itemStartTime = Date.now();
 
-      const { imageBase64, originalFileName } = imageItem;
-      let imageData, extractedMimeType;
+  logger.info(
+    `Processing uploaded file: ${file.originalname}, Size: ${file.size} bytes, Type: ${file.mimetype}`
+  );
 
-      // Extract the base64 data and MIME type
-      if (imageBase64.startsWith("data:")) {
-        const matches = imageBase64.match(
-          /^data:(image\/\w+|application\/pdf);base64,(.*)$/
+  const fileType = resolveFileType(file.buffer, file.mimetype);
+  if (fileType.errorCode) {
+    return itemError(
+      file.originalname,
+      fileType.errorCode,
+      fileType.error,
+      itemStartTime
+    );
+  }
+
+  const fitted = await fitToSizeLimit(
+    file.buffer,
+    fileType.mimeType,
+    ocrOptions.oversize
+  );
+  if (fitted.errorCode) {
+    return itemError(
+      file.originalname,
+      fitted.errorCode,
+      fitted.error,
+      itemStartTime
+    );
+  }
+
+  try {
+    const result = await ocrDocument(
+      fitted.data,
+      file.originalname,
+      fitted.mimeType,
+      { ...ocrOptions, chargePages: chargeSelectedPages },
+      cachePolicy
+    );
+    result.declaredType = fileType.declaredType;
+    result.detectedType = fileType.detectedType;
+    result.language = ocrOptions.language || null;
+    if (fitted.resized) result.resized = fitted.resized;
+    result.timing.item_duration = (Date.now() - itemStartTime) / 1000;
+    return result;
+  } catch (ocrError) {
+    logger.error(`Error in OCR for ${file.originalname}: ${ocrError.message}`);
+    return itemError(
+      file.originalname,
+      ErrorCodes.OCR_FAILED,
+      `OCR processing error: ${ocrError.message}`,
+      itemStartTime
+    );
+  }
+}
+
+// OCR endpoint for base64 image data
+ocrRouter.post(
+  "/base64",
+  validateWithOpenApi,
+  limitBatchSize,
+  idempotency,
+  chargePages,
+  async (req, res) => {
+    let stream = null;
+    try {
+      const globalStartTime = Date.now();
+      let results = [];
+
+      const callbackUrl = getCallbackUrl(req);
+      if (callbackUrl && rejectInvalidCallbackUrl(req, res, callbackUrl))
+        return;
+
+      // Check if we have an array of images or a single image
+      const isArrayOfImages = Array.isArray(req.body);
+      const imageDataArray = isArrayOfImages ? req.body : [req.body];
+
+      // Validate that we have at least one image
+      if (imageDataArray.length === 0) {
+        return sendError(
+          req,
+          res,
+          400,
+          ErrorCodes.NO_INPUT,
+          "No image data provided."
         );
-        if (matches) {
-          extractedMimeType = matches[1];
-          imageData = Buffer.from(matches[2], "base64");
-        } else {
-          return {
-            fileName: originalFileName,
-            success: false,
-            error: "Invalid base64 image format.",
-            timing: { item_duration: (Date.now() - itemStartTime) / 1000 },
-          };
-        }
-      } else {
-        // Raw base64 data
-        try {
-          imageData = Buffer.from(imageBase64, "base64");
-          extractedMimeType = "application/octet-stream"; // Default MIME type
-        } catch (error) {
-          return {
-            fileName: originalFileName,
-            success: false,
-            error: "Invalid base64 data.",
-            timing: { item_duration: (Date.now() - itemStartTime) / 1000 },
-          };
+      }
+
+      // Streaming mode: emit each result as soon as it is ready
+      const streamFormat = getStreamFormat(req);
+      if (streamFormat) stream = openResultStream(res, streamFormat);
+
+      // Process the images with bounded parallelism
+      const cachePolicy = getCachePolicy(req);
+      const chargeSelectedPages = selectedPageCharger(req, res);
+      results = await mapWithConcurrency(
+        imageDataArray,
+        BATCH_CONCURRENCY,
+        async (imageItem, index) => {
+          const result = await processImageItem(
+            imageItem,
+            cachePolicy,
+            chargeSelectedPages
+          );
+          if (stream) stream.sendResult(index, formatResult(req, result));
+          return result;
         }
+      );
+
+      // Add overall processing time metadata
+      const metaInfo = buildBatchMeta(results, globalStartTime);
+
+      if (callbackUrl) {
+        metaInfo.callbackDeliveryId = scheduleDelivery(
+          callbackUrl,
+          "ocr.completed",
+          {
+            meta: metaInfo,
+            results: results.map((result) => formatResult(req, result)),
+          }
+        );
       }
 
-      // Validate size
-      const maxSize = 5 * 1024 * 1024; // 5MB
-      if (imageData.length > maxSize) {
-        return {
-          fileName: originalFileName,
-          success: false,
-          error: `Decoded image exceeds maximum size of 5MB. Size: ${imageData.length} bytes.`,
-          timing: { item_duration: (Date.now() - itemStartTime) / 1000 },
-        };
+      if (stream) {
+        stream.sendMeta(metaInfo);
+        stream.end();
+        logger.info(
+          `Streamed batch complete. Processed ${
+            results.length
+          } images in ${metaInfo.batchProcessingTime.toFixed(2)}s`
+        );
+        return;
       }
 
-      // Process the image
       logger.info(
-        `Processing image: ${originalFileName}, Size: ${imageData.length} bytes`
+        `Batch processing complete. Processed ${
+          results.length
+        } images in ${metaInfo.batchProcessingTime.toFixed(2)}s`
       );
 
-      try {
-        const result = await performOcr(
-          imageData,
-          originalFileName,
-          extractedMimeType
+      // Return all results
+      sendBatch(req, res, metaInfo, results);
+    } catch (error) {
+      logger.error(`Error processing batch of images: ${error.message}`);
+      if (res.headersSent) {
+        // Already streaming - report the failure in-band and close the stream
+        if (stream) {
+          stream.sendError(`Server error: ${error.message}`);
+          stream.end();
+        }
+        return;
+      }
+      sendError(
+        req,
+        res,
+        500,
+        ErrorCodes.INTERNAL_ERROR,
+        `Server error: ${error.message}`,
+        { fileName: "batch-processing" }
+      );
+    }
+  }
+);
+
+// OCR endpoint for file uploads
+ocrRouter.post(
+  "/upload",
+  upload.array("images"),
+  validateWithOpenApi,
+  idempotency,
+  chargePages,
+  async (req, res) => {
+    try {
+      const globalStartTime = Date.now();
+
+      if (!req.files || req.files.length === 0) {
+        return sendError(
+          req,
+          res,
+          400,
+          ErrorCodes.NO_INPUT,
+          "No files uploaded."
         );
+      }
+
+      const callbackUrl = getCallbackUrl(req);
+      if (callbackUrl && rejectInvalidCallbackUrl(req, res, callbackUrl))
+        return;
+
+      // Process every uploaded file, keeping the number of concurrent OCR calls bounded
+      const cachePolicy = getCachePolicy(req);
+      const ocrOptions = getUploadOcrOptions(req);
+      const chargeSelectedPages = selectedPageCharger(req, res);
+      const results = await mapWithConcurrency(
+        req.files,
+        BATCH_CONCURRENCY,
+        (file) =>
+          processUploadedFile(
+            file,
+            ocrOptions,
+            cachePolicy,
+            chargeSelectedPages
+          )
+      );
 
-        // Add timing info for this specific image
-        result.timing.item_duration = (Date.now() - itemStartTime) / 1000;
+      const metaInfo = buildBatchMeta(results, globalStartTime);
 
-        return result;
-      } catch (ocrError) {
-        logger.error(
-          `Error in OCR for ${originalFileName}: ${ocrError.message}`
+      if (callbackUrl) {
+        metaInfo.callbackDeliveryId = scheduleDelivery(
+          callbackUrl,
+          "ocr.completed",
+          {
+            meta: metaInfo,
+            results: results.map((result) => formatResult(req, result)),
+          }
         );
-        return {
-          fileName: originalFileName,
-          success: false,
-          error: `OCR processing error: ${ocrError.message}`,
-          timing: { item_duration: (Date.now() - itemStartTime) / 1000 },
-        };
       }
-    });
 
-    // Wait for all images to be processed in parallel
-    results = await Promise.all(processingPromises);
+      logger.info(
+        `Upload batch complete. Processed ${
+          results.length
+        } files in ${metaInfo.batchProcessingTime.toFixed(2)}s`
+      );
 
-    // Add overall processing time metadata
-    const globalProcessingTime = (Date.now() - globalStartTime) / 1000;
-    const metaInfo = {
-      batchProcessingTime: globalProcessingTime,
-      processedCount: results.length,
-    };
+      sendBatch(req, res, metaInfo, results);
+    } catch (error) {
+      logger.error(`Error processing uploaded files: ${error.message}`);
+      sendError(
+        req,
+        res,
+        500,
+        ErrorCodes.INTERNAL_ERROR,
+        `Server error: ${error.message}`,
+        { fileName: "batch-processing" }
+      );
+    }
+  }
+);
 
-    logger.info(
-      `Batch processing complete. Processed ${
-        results.length
-      } images in ${globalProcessingTime.toFixed(2)}s`
+// Item error codes caused by Google rather than by the submitted document
+const UPSTREAM_ERROR_CODES = [
+  ErrorCodes.UPSTREAM_AUTH,
+  ErrorCodes.UPSTREAM_QUOTA,
+  ErrorCodes.UPSTREAM_ERROR,
+  ErrorCodes.OCR_FAILED,
+];
+
+// HTTP status of a failed export: 429 when the pages of the document exceed
+// the key's quota, 502 for Google failures, 422 for problems with the document
+function exportErrorStatus(errorCode) {
+  if (errorCode === ErrorCodes.QUOTA_EXCEEDED) return 429;
+  return UPSTREAM_ERROR_CODES.includes(errorCode) ? 502 : 422;
+}
+
+// Send the OCR result of one document as a file in its output format
+function sendOutputFile(req, res, result, outputFormat) {
+  const formatName = outputFormat || DEFAULT_OUTPUT_FORMAT;
+  const format = getOutputFormat(formatName);
+
+  let body;
+  if (formatName === DEFAULT_OUTPUT_FORMAT) {
+    body = Buffer.from(result.text, "utf8");
+  } else if (result.output) {
+    body = Buffer.from(result.output.content, result.output.encoding);
+  } else {
+    return sendError(
+      req,
+      res,
+      422,
+      ErrorCodes.OUTPUT_UNAVAILABLE,
+      `${formatName} output cannot be merged across the ${result.pages.length} pages of ${result.fileName}. Select a single page with pages, or use text or markdown.`,
+      { fileName: result.fileName }
     );
+  }
 
-    // Return all results
-    res.json({
-      meta: metaInfo,
-      results: results,
-    });
-  } catch (error) {
-    logger.error(`Error processing batch of images: ${error.message}`);
-    res.status(500).json([
-      {
-        fileName: "batch-processing",
-        success: false,
-        error: `Server error: ${error.message}`,
-      },
-    ]);
+  const baseName = result.fileName.replace(/\.[^./\\]*$/, "") || "document";
+  res.attachment(`${baseName}.${format.extension}`);
+  res.type(format.contentType);
+  res.send(body);
+}
+
+// OCR a single document and download it in the requested output format
+// (base64 JSON item or a multipart upload of one file)
+ocrRouter.post(
+  "/export",
+  upload.array("images"),
+  validateWithOpenApi,
+  idempotency,
+  chargePages,
+  async (req, res) => {
+    try {
+      const cachePolicy = getCachePolicy(req);
+      const chargeSelectedPages = selectedPageCharger(req, res);
+      let result, outputFormat;
+
+      // The response is the file itself, so classification (which may leave
+      // out the text) does not apply
+      if (req.files && req.files.length > 0) {
+        const ocrOptions = { ...getUploadOcrOptions(req), classify: undefined };
+        outputFormat = ocrOptions.outputFormat;
+        result = await processUploadedFile(
+          req.files[0],
+          ocrOptions,
+          cachePolicy,
+          chargeSelectedPages
+        );
+      } else {
+        outputFormat = req.body.outputFormat;
+        result = await processImageItem(
+          { ...req.body, classify: undefined },
+          cachePolicy,
+          chargeSelectedPages
+        );
+      }
+
+      if (!result.success) {
+        const errorCode = result.errorCode || ErrorCodes.OCR_FAILED;
+        return sendError(
+          req,
+          res,
+          exportErrorStatus(errorCode),
+          errorCode,
+          result.error,
+          { fileName: result.fileName }
+        );
+      }
+
+      logger.info(
+        `Export of ${result.fileName} as ${
+          outputFormat || DEFAULT_OUTPUT_FORMAT
+        } complete`
+      );
+      sendOutputFile(req, res, result, outputFormat);
+    } catch (error) {
+      logger.error(`Error exporting document: ${error.message}`);
+      sendError(
+        req,
+        res,
+        500,
+        ErrorCodes.INTERNAL_ERROR,
+        `Server error: ${error.message}`
+      );
+    }
   }
-});
+);
 
-// OCR endpoint for file uploads
-app.post("/api/ocr/upload", upload.array("images"), async (req, res) => {
-  try {
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).json([
-        {
-          fileName: "N/A",
-          success: false,
-          error: "No files uploaded.",
-        },
-      ]);
+// Submit an asynchronous OCR job (base64 JSON body or multipart upload)
+ocrRouter.post(
+  "/jobs",
+  upload.array("images"),
+  validateWithOpenApi,
+  limitBatchSize,
+  idempotency,
+  rejectWhenQueueFull,
+  chargePages,
+  (req, res) => {
+    let items;
+    const cachePolicy = getCachePolicy(req);
+    const chargeSelectedPages = selectedPageCharger(req, res);
+
+    const callbackUrl = getCallbackUrl(req);
+    if (callbackUrl && rejectInvalidCallbackUrl(req, res, callbackUrl)) return;
+
+    if (req.files && req.files.length > 0) {
+      const ocrOptions = getUploadOcrOptions(req);
+      items = req.files.map((file) => ({
+        fileName: file.originalname,
+        run: () =>
+          processUploadedFile(
+            file,
+            ocrOptions,
+            cachePolicy,
+            chargeSelectedPages
+          ),
+      }));
+    } else {
+      const imageDataArray = Array.isArray(req.body) ? req.body : [req.body];
+      // Every element becomes a job item, so item indexes match the request
+      // array; processImageItem reports empty or invalid items
+      items = imageDataArray.map((imageItem) => ({
+        fileName: getItemFileName(imageItem),
+        run: () =>
+          processImageItem(imageItem, cachePolicy, chargeSelectedPages),
+      }));
     }
 
-    // Process only the first file for now (can be expanded to process multiple)
-    const file = req.files[0];
-    const startTime = Date.now();
+    if (items.length === 0) {
+      return sendError(
+        req,
+        res,
+        400,
+        ErrorCodes.NO_INPUT,
+        "No image data provided."
+      );
+    }
 
-    logger.info(
-      `Processing uploaded file: ${file.originalname}, Size: ${file.size} bytes, Type: ${file.mimetype}`
+    const job = enqueueJob(items, {
+      owner: getKeyOwner(req),
+      onComplete: callbackUrl
+        ? (completedJob) => {
+            const { meta, results } = getJobResult(completedJob);
+            completedJob.callbackDeliveryId = scheduleDelivery(
+              callbackUrl,
+              "job.completed",
+              {
+                meta,
+                results: results.map((result) => formatResult(req, result)),
+              }
+            );
+          }
+        : null,
+    });
+    logger.info(`Queued OCR job ${job.id} with ${items.length} item(s)`);
+
+    res.location(`${req.baseUrl}/jobs/${job.id}`);
+    sendData(req, res, describeJob(job), 202);
+  }
+);
+
+// Poll the state and per-item progress of a job
+ocrRouter.get("/jobs/:id", validateWithOpenApi, (req, res) => {
+  const job = getJob(req.params.id, getKeyOwner(req));
+  if (!job) {
+    return sendError(
+      req,
+      res,
+      404,
+      ErrorCodes.NOT_FOUND,
+      "Job not found or expired."
     );
+  }
+  sendData(req, res, describeJob(job));
+});
 
-    // Process the image
-    const result = await performOcr(
-      file.buffer,
-      file.originalname,
-      file.mimetype
+// Retrieve the results of a completed job
+ocrRouter.get("/jobs/:id/result", validateWithOpenApi, (req, res) => {
+  const job = getJob(req.params.id, getKeyOwner(req));
+  if (!job) {
+    return sendError(
+      req,
+      res,
+      404,
+      ErrorCodes.NOT_FOUND,
+      "Job not found or expired."
     );
-    const endTime = Date.now();
+  }
+  if (job.state !== "completed") {
+    // Not ready yet - return the current status so clients can keep polling
+    return sendData(req, res, describeJob(job), 202);
+  }
+  const { meta, results } = getJobResult(job);
+  sendBatch(req, res, meta, results);
+});
 
-    // Add timing info
-    result.timing.total_duration = (endTime - startTime) / 1000;
+// Usage counters and quotas for the calling API key
+ocrRouter.get("/usage", validateWithOpenApi, (req, res) => {
+  if (!req.apiKey) {
+    return sendError(
+      req,
+      res,
+      404,
+      ErrorCodes.NOT_FOUND,
+      "API keys are not enabled on this server."
+    );
+  }
+  sendData(req, res, describeUsage(req.apiKey));
+});
 
-    // Return result in format similar to PHP version
-    res.json([result]);
-  } catch (error) {
-    logger.error(`Error processing uploaded file: ${error.message}`);
-    res.status(500).json([
-      {
-        fileName: req.files?.[0]?.originalname || "N/A",
-        success: false,
-        error: `Server error: ${error.message}`,
-      },
-    ]);
+// Inspect the delivery attempts of a webhook callback
+ocrRouter.get("/deliveries/:id", validateWithOpenApi, (req, res) => {
+  const delivery = getDelivery(req.params.id);
+  if (!delivery) {
+    return sendError(
+      req,
+      res,
+      404,
+      ErrorCodes.NOT_FOUND,
+      "Delivery not found or expired."
+    );
   }
+  sendData(req, res, delivery);
 });
 
+// API key authentication and per-key request quotas for all OCR routes
+app.use(["/api/ocr", "/api/v2/ocr"], requireApiKey, ocrRouter);
+
 // Error handler for multer errors
 app.use((err, req, res, next) => {
   if (err instanceof multer.MulterError) {
+    if (err.code === "LIMIT_FILE_COUNT") {
+      return sendError(
+        req,
+        res,
+        400,
+        ErrorCodes.VALIDATION_ERROR,
+        `Too many files. A request may contain at most ${MAX_BATCH_ITEMS} files.`
+      );
+    }
     if (err.code === "LIMIT_FILE_SIZE") {
-      return res.status(400).json([
-        {
-          fileName: "N/A",
-          success: false,
-          error: "File exceeds 5MB size limit.",
-        },
-      ]);
+      return sendError(
+        req,
+        res,
+        400,
+        ErrorCodes.FILE_TOO_LARGE,
+        `File exceeds ${formatMegabytes(MAX_INPUT_FILE_SIZE)} size limit.`
+      );
     }
-    return res.status(400).json([
-      {
-        fileName: "N/A",
-        success: false,
-        error: `Upload error: ${err.message}`,
-      },
-    ]);
+    return sendError(
+      req,
+      res,
+      400,
+      ErrorCodes.UPLOAD_ERROR,
+      `Upload error: ${err.message}`
+    );
+  }
+
+  if (err.code === ErrorCodes.FILE_TOO_LARGE && err.status === 413) {
+    return sendError(
+      req,
+      res,
+      413,
+      ErrorCodes.FILE_TOO_LARGE,
+      `Uploaded files exceed ${formatMegabytes(MAX_UPLOAD_SIZE)} in total.`
+    );
+  }
+
+  if (err.type === "entity.too.large") {
+    return sendError(
+      req,
+      res,
+      413,
+      ErrorCodes.FILE_TOO_LARGE,
+      `Request body exceeds ${formatMegabytes(MAX_BODY_SIZE)} size limit.`
+    );
+  }
+
+  if (err.type === "entity.parse.failed") {
+    return sendError(
+      req,
+      res,
+      400,
+      ErrorCodes.VALIDATION_ERROR,
+      `Request body is not valid JSON: ${err.message}`
+    );
   }
 
   logger.error(`Unhandled error: ${err.message}`);
-  res.status(500).json([
-    {
-      fileName: "N/A",
-      success: false,
-      error: `Server error: ${err.message}`,
-    },
+  sendError(
+    req,
+    res,
+    500,
+    ErrorCodes.INTERNAL_ERROR,
+    `Server error: ${err.message}`
+  );
+});
+
+// Graceful shutdown: stop accepting connections and starting items, let the
+// running items of requests and jobs finish (and delete their temp docs),
+// then clean up anything left and exit
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  const deadline = Date.now() + SHUTDOWN_TIMEOUT_MS;
+  logger.info(`${signal} received, shutting down gracefully`);
+
+  const unprocessed = stopQueue();
+  if (unprocessed > 0) {
+    logger.warn(`${unprocessed} queued job item(s) will not be processed`);
+  }
+
+  const serverClosed = new Promise((resolve) => server.close(resolve));
+  server.closeIdleConnections();
+
+  const stillRunning = await waitForActiveItems(deadline - Date.now());
+  if (stillRunning > 0) {
+    logger.warn(
+      `Shutdown deadline reached with ${stillRunning} item(s) still running`
+    );
+  }
+
+  // Give handlers a moment to send the responses of the finished items
+  await Promise.race([
+    serverClosed,
+    new Promise((resolve) =>
+      setTimeout(resolve, Math.max(0, deadline - Date.now()))
+    ),
   ]);
+
+  await deleteOrphanedTempDocs();
+  await cleanupTempFiles();
+  logger.info("Shutdown complete");
+  process.exit(0);
+}
+
+["SIGINT", "SIGTERM"].forEach((signal) => {
+  process.on(signal, () => {
+    shutdown(signal).catch((error) => {
+      logger.error(`Error during shutdown: ${error.message}`);
+      process.exit(1);
+    });
+  });
 });
 
 // Start server
-app.listen(port, async () => {
+const server = app.listen(port, async () => {
   logger.info(`OCR API server running on port ${port}`);
   console.log(`OCR API server running on port ${port}`);
 
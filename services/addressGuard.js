@@ -0,0 +1,153 @@
+/**
+ * Outbound Address Guard
+ * Protection against server-side request forgery for requests to client
+ * supplied URLs (imageUrl downloads, webhook callbacks): loopback, private,
+ * link-local and other non-public addresses are refused unless allow-listed.
+ * Resolved addresses are checked at connect time through the HTTP agents'
+ * lookup, which also covers DNS rebinding and redirect targets.
+ *
+ * An allow-list is a comma separated list of host names and/or CIDR ranges
+ * that may be requested even though they resolve to private addresses, e.g.
+ * "docs.internal.example,10.20.0.0/16".
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { ErrorCodes } = require('./errorCodes');
+
+// Loopback, private, link-local, CGNAT, multicast and other non-public ranges
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  // NAT64 local-use prefix, translated to any IPv4 network the operator picks
+  ['64:ff9b:1::', 48],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// 16-bit groups of an IPv6 address, with an embedded dotted IPv4 tail split
+// into two groups
+function ipv6Groups(address) {
+  const toGroups = (part) => (part ? part.split(':') : []).flatMap((group) => {
+    if (!group.includes('.')) return [parseInt(group, 16)];
+    const [a, b, c, d] = group.split('.').map(Number);
+    return [(a << 8) | b, (c << 8) | d];
+  });
+  const [head, tail] = address.split('%')[0].toLowerCase().split('::');
+  const headGroups = toGroups(head);
+  const tailGroups = toGroups(tail);
+  const zeros = new Array(8 - headGroups.length - tailGroups.length).fill(0);
+  return [...headGroups, ...zeros, ...tailGroups];
+}
+
+// IPv4 address reached through a NAT64 (64:ff9b::/96) or 6to4 (2002::/16)
+// address, or null
+function embeddedIPv4(address) {
+  const groups = ipv6Groups(address);
+  const ipv4 = (high, low) => [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every((group) => group === 0)) {
+    return ipv4(groups[6], groups[7]);
+  }
+  if (groups[0] === 0x2002) return ipv4(groups[1], groups[2]);
+  return null;
+}
+
+function blockedError(message) {
+  const error = new Error(message);
+  error.code = ErrorCodes.URL_BLOCKED;
+  return error;
+}
+
+/**
+ * Build a guard for one allow-list. Returns `{ isAddressAllowed,
+ * isHostAllowed, httpAgent, httpsAgent }`; requests made with the agents fail
+ * with an error whose code is URL_BLOCKED when the host resolves to a blocked
+ * address.
+ */
+function createAddressGuard(allowList) {
+  const allowedAddresses = new net.BlockList();
+  const allowedHosts = new Set();
+  for (const entry of (allowList || '').split(',')) {
+    const value = entry.trim().toLowerCase();
+    if (!value) continue;
+    const [address, prefix] = value.split('/');
+    const family = net.isIP(address);
+    if (family) {
+      const type = family === 4 ? 'ipv4' : 'ipv6';
+      allowedAddresses.addSubnet(address, prefix ? parseInt(prefix, 10) : (family === 4 ? 32 : 128), type);
+    } else {
+      allowedHosts.add(value);
+    }
+  }
+
+  // True when an IP address may be connected to
+  function isAddressAllowed(address) {
+    // BlockList also matches IPv4-mapped IPv6 addresses against the IPv4 rules
+    const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+    if (allowedAddresses.check(address, type)) return true;
+    if (blockedAddresses.check(address, type)) return false;
+    // NAT64 and 6to4 addresses are checked as the IPv4 address they reach
+    const ipv4 = type === 'ipv6' && embeddedIPv4(address);
+    return ipv4 ? isAddressAllowed(ipv4) : true;
+  }
+
+  // True when a URL host (name or IP literal) may be requested; host names
+  // are checked again when they are resolved
+  function isHostAllowed(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (net.isIP(host)) return isAddressAllowed(host);
+    return true;
+  }
+
+  // dns.lookup replacement for the HTTP agents: resolves, then refuses the
+  // connection unless every address is allowed
+  function safeLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+      const blocked = !allowedHosts.has(hostname.toLowerCase()) &&
+        addresses.find(({ address }) => !isAddressAllowed(address));
+      if (blocked) {
+        return callback(blockedError(`${hostname} resolves to a blocked address (${blocked.address}).`));
+      }
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  return {
+    isAddressAllowed,
+    isHostAllowed,
+    httpAgent: new http.Agent({ lookup: safeLookup }),
+    httpsAgent: new https.Agent({ lookup: safeLookup }),
+  };
+}
+
+/**
+ * True when a request error was caused by a blocked address
+ */
+function isBlockedError(error) {
+  return error.code === ErrorCodes.URL_BLOCKED ||
+    Boolean(error.cause && error.cause.code === ErrorCodes.URL_BLOCKED);
+}
+
+module.exports = {
+  createAddressGuard,
+  isBlockedError,
+};
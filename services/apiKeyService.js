@@ -0,0 +1,284 @@
+/**
+ * API Key Authentication and Quotas
+ * Keys are loaded from the API_KEYS environment variable (JSON) or from the
+ * file named by API_KEYS_FILE (default secure_files/api-keys.json). Each key
+ * belongs to a rate tier with per-minute and per-day request and page quotas.
+ *
+ * Config format:
+ * {
+ *   "tiers": { "free": { "requestsPerMinute": 10, "requestsPerDay": 500, "pagesPerMinute": 20, "pagesPerDay": 1000 } },
+ *   "keys": [ { "key": "abc123", "name": "acme", "tier": "free" } ]
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ErrorCodes } = require('./errorCodes');
+const { sendError } = require('./responseFormat');
+const logger = require('./logger');
+
+// Built-in tiers, can be overridden or extended by the "tiers" section of the config
+const DEFAULT_TIERS = {
+  free: { requestsPerMinute: 10, requestsPerDay: 500, pagesPerMinute: 20, pagesPerDay: 1000 },
+  standard: { requestsPerMinute: 60, requestsPerDay: 10000, pagesPerMinute: 120, pagesPerDay: 20000 },
+  premium: { requestsPerMinute: 300, requestsPerDay: 100000, pagesPerMinute: 600, pagesPerDay: 200000 },
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// key string -> { name, tier, limits }
+const apiKeys = new Map();
+// key string -> usage counters
+const usage = new Map();
+
+function readApiKeyConfig() {
+  if (process.env.API_KEYS) {
+    return JSON.parse(process.env.API_KEYS);
+  }
+
+  const configPath = process.env.API_KEYS_FILE ||
+    path.join(__dirname, '..', 'secure_files', 'api-keys.json');
+  if (!fs.existsSync(configPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+}
+
+function loadApiKeys() {
+  apiKeys.clear();
+
+  let config;
+  try {
+    config = readApiKeyConfig();
+  } catch (error) {
+    // A broken config must never silently disable authentication
+    throw new Error(`Failed to load API key configuration: ${error.message}`);
+  }
+
+  if (!config) {
+    logger.warn('No API keys configured - /api/ocr/* is open to anyone');
+    return;
+  }
+
+  const tiers = { ...DEFAULT_TIERS, ...(config.tiers || {}) };
+  for (const entry of config.keys || []) {
+    const tierName = entry.tier || 'free';
+    const tierLimits = tiers[tierName];
+    if (!entry.key || !tierLimits) {
+      throw new Error(`Invalid API key entry "${entry.name || 'unnamed'}": missing key or unknown tier "${tierName}"`);
+    }
+    apiKeys.set(entry.key, {
+      name: entry.name || entry.key.slice(0, 6),
+      tier: tierName,
+      // Per-key overrides win over the tier defaults
+      limits: { ...tierLimits, ...(entry.limits || {}) },
+    });
+  }
+
+  logger.info(`Loaded ${apiKeys.size} API key(s)`);
+}
+
+function isAuthEnabled() {
+  return apiKeys.size > 0;
+}
+
+function extractApiKey(req) {
+  const headerKey = req.get('X-API-Key');
+  if (headerKey) return headerKey;
+  const authorization = req.get('Authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1] : null;
+}
+
+function getUsage(key) {
+  let counters = usage.get(key);
+  if (!counters) {
+    counters = {
+      minute: { windowStart: 0, requests: 0, pages: 0 },
+      day: { windowStart: 0, requests: 0, pages: 0 },
+      total: { requests: 0, pages: 0, rejected: 0 },
+      lastUsedAt: null,
+    };
+    usage.set(key, counters);
+  }
+
+  // Fixed windows aligned to the minute and the UTC day
+  const now = Date.now();
+  const minuteStart = now - (now % MINUTE_MS);
+  const dayStart = now - (now % DAY_MS);
+  if (counters.minute.windowStart !== minuteStart) {
+    counters.minute = { windowStart: minuteStart, requests: 0, pages: 0 };
+  }
+  if (counters.day.windowStart !== dayStart) {
+    counters.day = { windowStart: dayStart, requests: 0, pages: 0 };
+  }
+  return counters;
+}
+
+/**
+ * Check whether `amount` more units of `unit` ("requests" or "pages") fit in
+ * the key's quotas. Returns null when allowed, or the exceeded limit.
+ */
+function findExceededQuota(counters, limits, unit, amount) {
+  const now = Date.now();
+  const checks = [
+    { window: 'minute', limit: limits[`${unit}PerMinute`], resetAt: counters.minute.windowStart + MINUTE_MS },
+    { window: 'day', limit: limits[`${unit}PerDay`], resetAt: counters.day.windowStart + DAY_MS },
+  ];
+  for (const check of checks) {
+    if (check.limit === undefined || check.limit === null) continue;
+    if (counters[check.window][unit] + amount > check.limit) {
+      return {
+        unit,
+        window: check.window,
+        limit: check.limit,
+        retryAfter: Math.max(1, Math.ceil((check.resetAt - now) / 1000)),
+      };
+    }
+  }
+  return null;
+}
+
+function quotaMessage(exceeded) {
+  return `Quota exceeded: ${exceeded.limit} ${exceeded.unit} per ${exceeded.window}. Retry after ${exceeded.retryAfter}s.`;
+}
+
+function rejectQuota(req, res, counters, exceeded) {
+  counters.total.rejected++;
+  res.set('Retry-After', String(exceeded.retryAfter));
+  sendError(req, res, 429, ErrorCodes.QUOTA_EXCEEDED, quotaMessage(exceeded));
+}
+
+function addPages(counters, pages) {
+  counters.minute.pages += pages;
+  counters.day.pages += pages;
+  counters.total.pages += pages;
+}
+
+/**
+ * Middleware: reject unknown keys and enforce the per-key request quotas.
+ * GET requests (job polling, usage, delivery status) need a valid key but do
+ * not count against the request quotas.
+ */
+function requireApiKey(req, res, next) {
+  if (!isAuthEnabled()) return next();
+
+  const key = extractApiKey(req);
+  const keyInfo = key ? apiKeys.get(key) : null;
+  if (!keyInfo) {
+    return sendError(
+      req,
+      res,
+      401,
+      ErrorCodes.UNAUTHORIZED,
+      key ? "Invalid API key." : "Missing API key. Send it in the X-API-Key header."
+    );
+  }
+
+  const counters = getUsage(key);
+  if (req.method !== 'GET') {
+    const exceeded = findExceededQuota(counters, keyInfo.limits, 'requests', 1);
+    if (exceeded) {
+      logger.info(`API key ${keyInfo.name} exceeded ${exceeded.unit} per ${exceeded.window}`);
+      return rejectQuota(req, res, counters, exceeded);
+    }
+
+    counters.minute.requests++;
+    counters.day.requests++;
+    counters.total.requests++;
+  }
+  counters.lastUsedAt = new Date().toISOString();
+
+  res.set('X-RateLimit-Limit', String(keyInfo.limits.requestsPerMinute));
+  res.set('X-RateLimit-Remaining', String(Math.max(0, keyInfo.limits.requestsPerMinute - counters.minute.requests)));
+
+  req.apiKey = { key, ...keyInfo };
+  next();
+}
+
+/**
+ * Middleware factory: charge the pages a request is about to OCR against the
+ * key's page quotas. `countPages(req)` returns the number of pages.
+ */
+function requirePageQuota(countPages) {
+  return (req, res, next) => {
+    if (!req.apiKey) return next();
+
+    const pages = countPages(req);
+    const counters = getUsage(req.apiKey.key);
+    const exceeded = findExceededQuota(counters, req.apiKey.limits, 'pages', pages);
+    if (exceeded) {
+      logger.info(`API key ${req.apiKey.name} exceeded ${exceeded.unit} per ${exceeded.window}`);
+      return rejectQuota(req, res, counters, exceeded);
+    }
+
+    addPages(counters, pages);
+    next();
+  };
+}
+
+/**
+ * Charge pages found only while processing, e.g. the pages of a split PDF
+ * beyond the one counted for its item. Returns null when they fit in the
+ * key's page quotas (or without a key), otherwise the quota error message.
+ */
+function chargeAdditionalPages(apiKey, pages) {
+  if (!apiKey || pages <= 0) return null;
+
+  const counters = getUsage(apiKey.key);
+  const exceeded = findExceededQuota(counters, apiKey.limits, 'pages', pages);
+  if (exceeded) {
+    logger.info(`API key ${apiKey.name} exceeded ${exceeded.unit} per ${exceeded.window}`);
+    counters.total.rejected++;
+    return quotaMessage(exceeded);
+  }
+
+  addPages(counters, pages);
+  return null;
+}
+
+/**
+ * Owner of the data a request creates (jobs, idempotency records): its API
+ * key, or 'anonymous' when authentication is disabled
+ */
+function getKeyOwner(req) {
+  return req.apiKey ? req.apiKey.key : 'anonymous';
+}
+
+/**
+ * Usage counters and limits for a key
+ */
+function describeUsage(apiKey) {
+  const counters = getUsage(apiKey.key);
+  return {
+    name: apiKey.name,
+    tier: apiKey.tier,
+    limits: apiKey.limits,
+    usage: {
+      minute: {
+        windowStart: new Date(counters.minute.windowStart).toISOString(),
+        requests: counters.minute.requests,
+        pages: counters.minute.pages,
+      },
+      day: {
+        windowStart: new Date(counters.day.windowStart).toISOString(),
+        requests: counters.day.requests,
+        pages: counters.day.pages,
+      },
+      total: counters.total,
+      lastUsedAt: counters.lastUsedAt,
+    },
+  };
+}
+
+loadApiKeys();
+
+module.exports = {
+  requireApiKey,
+  requirePageQuota,
+  chargeAdditionalPages,
+  describeUsage,
+  getKeyOwner,
+  isAuthEnabled,
+};
@@ -0,0 +1,61 @@
+/**
+ * Concurrency helpers
+ * Run async work over a list while keeping only a limited number in flight
+ */
+
+/**
+ * Map `items` through async `fn` with at most `limit` calls running at once.
+ * Results keep the input order.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  const workers = [];
+  for (let i = 0; i < workerCount; i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  return results;
+}
+
+/**
+ * Limiter shared by independent callers: `limit(fn)` runs async `fn` once
+ * fewer than `max` limited calls are running and resolves with its result.
+ */
+function createLimiter(max) {
+  let active = 0;
+  const waiting = [];
+
+  function next() {
+    if (active >= max || waiting.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = waiting.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  }
+
+  return (fn) => new Promise((resolve, reject) => {
+    waiting.push({ fn, resolve, reject });
+    next();
+  });
+}
+
+module.exports = {
+  createLimiter,
+  mapWithConcurrency,
+};
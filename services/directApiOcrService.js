@@ -7,10 +7,14 @@
 const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
-const winston = require('winston');
 const { Readable } = require('stream');
 const os = require('os');
 const { LRUCache } = require('lru-cache');
+const { ErrorCodes, classifyUpstreamError } = require('./errorCodes');
+const { DEFAULT_OUTPUT_FORMAT, getOutputFormat, buildOutput } = require('./outputFormats');
+const { extractTables } = require('./tableExtraction');
+const { ocrInFlight, tempDocCleanupFailures, recordOcrResult } = require('./metrics');
+const logger = require('./logger');
 
 // Track temporary credential files created at runtime
 const createdTempFiles = new Set();
@@ -34,36 +38,16 @@ async function cleanupTempFiles() {
   }
 }
 
+// SIGINT/SIGTERM are handled by the graceful shutdown in server.js, which
+// calls cleanupTempFiles() once in-flight OCR calls have drained
 function registerTempCleanup() {
   if (cleanupRegistered) return;
   cleanupRegistered = true;
   process.on('exit', () => {
     cleanupTempFiles().catch(() => {});
   });
-  ['SIGINT', 'SIGTERM'].forEach(sig => {
-    process.on(sig, async () => {
-      await cleanupTempFiles();
-      process.exit();
-    });
-  });
 }
 
-// Configure logger
-const logger = winston.createLogger({
-  level: "info",
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.printf(
-      (info) => `${info.timestamp} ${info.level}: ${info.message}`
-    )
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: "error.log", level: "error" }),
-    new winston.transports.File({ filename: "combined.log" }),
-  ],
-});
-
 // Enhanced connection pooling and caching settings
 const MAX_POOL_SIZE = 20; 
 
@@ -77,6 +61,32 @@ const tokenCache = new LRUCache({
 let cachedCredentialFiles = null;
 const credentialContentCache = {}; // Cache credential file contents
 
+// Temporary Google Docs that exist in Drive right now: doc id -> access token.
+// Docs whose delete failed stay here and are retried on shutdown.
+const pendingTempDocs = new Map();
+
+// Upstream health, reported by the /ready endpoint
+const upstreamStatus = {
+  lastSuccessfulOcrAt: null,
+  lastUpstreamError: null,
+};
+
+function recordUpstreamError(code, message) {
+  upstreamStatus.lastUpstreamError = {
+    at: new Date().toISOString(),
+    code,
+    message,
+  };
+}
+
+// Credential number from a file name like credentials3.json, for logs and status
+function getCredentialNumber(credentialPath) {
+  const match = credentialPath.match(
+    /credentials(\d+|zero|one|two|three|four|five|six|seven|eight|nine)\.json$/
+  );
+  return match ? match[1] : "unknown";
+}
+
 // Get list of available credential files
 async function getCredentialFiles() {
   // Check if we're in a cloud environment with credentials in environment variables
@@ -263,13 +273,7 @@ async function getRandomCredentials() {
   const selectedCredentialPath = credentialFiles[credentialIndex];
   
   // Get credential number for logging
-  let credentialNumber = "unknown";
-  const match = selectedCredentialPath.match(
-    /credentials(\d+|zero|one|two|three|four|five|six|seven|eight|nine)\.json$/
-  );
-  if (match) {
-    credentialNumber = match[1];
-  }
+  const credentialNumber = getCredentialNumber(selectedCredentialPath);
   
   // Load credentials from cache or file
   let credentials;
@@ -284,25 +288,65 @@ async function getRandomCredentials() {
   return { credentials, credentialNumber };
 }
 
+async function deleteTempDoc(googleDocId, accessToken) {
+  await axios.delete(
+    `https://www.googleapis.com/drive/v3/files/${googleDocId}`,
+    {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`
+      },
+      timeout: 10000
+    }
+  );
+  pendingTempDocs.delete(googleDocId);
+}
+
+// Export the temporary Google Doc in the given MIME type, as a Buffer
+async function exportDoc(googleDocId, accessToken, exportMimeType) {
+  const response = await axios.get(
+    `https://www.googleapis.com/drive/v3/files/${googleDocId}/export`,
+    {
+      params: { mimeType: exportMimeType, alt: 'media' },
+      headers: {
+        'Authorization': `Bearer ${accessToken}`
+      },
+      responseType: 'arraybuffer'
+    }
+  );
+  return Buffer.from(response.data);
+}
+
 /**
  * Perform OCR using direct API calls to Google's services
  * This implementation uses direct axios calls instead of the Google API client library
+ *
+ * options.outputFormat: also export the document in this format (see
+ * outputFormats.js) into `result.output`.
+ * options.tables: 'include' adds the document's tables to `result.tables`
+ * (see tableExtraction.js); 'only' returns the tables without the text.
+ * options.language: ISO 639-1 hint for Drive's OCR (`ocrLanguage`).
  */
-async function performOcr(imageData, originalFileName, mimeType) {
+async function performOcr(imageData, originalFileName, mimeType, options = {}) {
+  const outputFormat = options.outputFormat || DEFAULT_OUTPUT_FORMAT;
+  const tables = options.tables || null;
+  const language = options.language || null;
   const startTime = Date.now();
   const result = {
     fileName: originalFileName,
     success: false,
     text: "",
     error: "",
+    errorCode: null,
     timing: {
       "0_start_direct_api": 0
     },
     credentialUsed: "unknown",
+    language,
   };
   
   let googleDocId = null;
   let accessToken = null;
+  ocrInFlight.inc();
   
   try {
     // 1. Get credentials and access token
@@ -349,9 +393,10 @@ async function performOcr(imageData, originalFileName, mimeType) {
       Buffer.from(`\r\n--${boundary}--`, 'utf8')
     ]);
     
-    // Direct upload to Drive API
+    // Direct upload to Drive API, with the language hint for the conversion
+    const ocrLanguageParam = language ? `&ocrLanguage=${encodeURIComponent(language)}` : '';
     const uploadResponse = await axios.post(
-      'https://www.googleapis.com/upload/drive/v3/files?uploadType=multipart',
+      `https://www.googleapis.com/upload/drive/v3/files?uploadType=multipart${ocrLanguageParam}`,
       multipartRequestBody,
       {
         headers: {
@@ -366,25 +411,32 @@ async function performOcr(imageData, originalFileName, mimeType) {
     if (!googleDocId) {
       throw new Error('Failed to get document ID from upload response');
     }
+    pendingTempDocs.set(googleDocId, accessToken);
     
     result.timing["2_upload_to_gdoc"] = (Date.now() - uploadStartTime) / 1000;
     
-    // 3. Export the Google Doc as plain text
+    // 3. Export the Google Doc as plain text, plus the requested output
+    // format and the HTML tables are read from, each MIME type once
     const exportStartTime = Date.now();
     
-    const exportResponse = await axios.get(
-      `https://www.googleapis.com/drive/v3/files/${googleDocId}/export?mimeType=text/plain&alt=media`,
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`
-        },
-        responseType: 'text'
-      }
-    );
-    
-    const extractedText = exportResponse.data;
+    const exportMimeTypes = new Set();
+    if (tables !== 'only') exportMimeTypes.add('text/plain');
+    if (outputFormat !== DEFAULT_OUTPUT_FORMAT) exportMimeTypes.add(getOutputFormat(outputFormat).exportMimeType);
+    if (tables) exportMimeTypes.add('text/html');
+    const exported = new Map(await Promise.all(
+      [...exportMimeTypes].map(async (exportMimeType) =>
+        [exportMimeType, await exportDoc(googleDocId, accessToken, exportMimeType)])
+    ));
+    
+    if (outputFormat !== DEFAULT_OUTPUT_FORMAT) {
+      result.output = buildOutput(outputFormat, exported.get(getOutputFormat(outputFormat).exportMimeType));
+    }
+    if (tables) {
+      result.tables = extractTables(exported.get('text/html').toString('utf8'));
+    }
     result.success = true;
-    result.text = extractedText;
+    upstreamStatus.lastSuccessfulOcrAt = new Date().toISOString();
+    result.text = exported.has('text/plain') ? exported.get('text/plain').toString('utf8') : "";
     result.timing["3_export_as_text"] = (Date.now() - exportStartTime) / 1000;
     
   } catch (error) {
@@ -401,25 +453,33 @@ async function performOcr(imageData, originalFileName, mimeType) {
     } else {
       result.error = `Processing Error: ${error.message}`;
     }
+
+    if (!accessToken) {
+      // Failed before we could talk to Drive: credentials or token exchange
+      result.errorCode = ErrorCodes.UPSTREAM_AUTH;
+    } else if (error.response || error.request) {
+      result.errorCode = classifyUpstreamError(error);
+    } else {
+      result.errorCode = ErrorCodes.OCR_FAILED;
+    }
+
+    if (result.errorCode !== ErrorCodes.OCR_FAILED) {
+      recordUpstreamError(result.errorCode, result.error);
+    }
   } finally {
     // Delete the temporary Google Doc
     if (googleDocId && accessToken) {
       const deleteStartTime = Date.now();
       try {
-        await axios.delete(
-          `https://www.googleapis.com/drive/v3/files/${googleDocId}`,
-          {
-            headers: {
-              'Authorization': `Bearer ${accessToken}`
-            }
-          }
-        );
+        await deleteTempDoc(googleDocId, accessToken);
         result.timing["4_delete_temp_doc"] = (Date.now() - deleteStartTime) / 1000;
       } catch (deleteError) {
         logger.error(`Failed to delete temp doc ${googleDocId}: ${deleteError.message}`);
+        tempDocCleanupFailures.inc();
         
         if (!result.error) {
           result.error = `Cleanup Error: ${deleteError.message}`;
+          result.errorCode = ErrorCodes.CLEANUP_FAILED;
         } else {
           result.error += `; Cleanup Error: ${deleteError.message}`;
         }
@@ -428,6 +488,9 @@ async function performOcr(imageData, originalFileName, mimeType) {
     
     // Add total duration
     result.timing["total_duration_direct_api"] = (Date.now() - startTime) / 1000;
+
+    ocrInFlight.dec();
+    recordOcrResult(result);
   }
   
   return result;
@@ -447,8 +510,10 @@ async function preWarmAuthTokens() {
     for (const credentialFile of credentialFiles) {
       warmupPromises.push((async () => {
         try {
-          const content = await fs.readFile(credentialFile, 'utf8');
-          const credentials = JSON.parse(content);
+          // Credentials from GOOGLE_CREDENTIALS are already cached and their
+          // temp files may be gone once the first token has been minted
+          const credentials = credentialContentCache[credentialFile] ||
+            JSON.parse(await fs.readFile(credentialFile, 'utf8'));
           
           // Cache the credential content
           credentialContentCache[credentialFile] = credentials;
@@ -473,7 +538,65 @@ async function preWarmAuthTokens() {
   }
 }
 
+/**
+ * Readiness check: report token status per credential, minting a token for
+ * any credential whose cached token has expired. Ready when at least one
+ * credential has a usable token.
+ */
+async function checkReadiness() {
+  if (Object.keys(credentialContentCache).length === 0) {
+    // Nothing loaded yet (or pre-warming failed) - try loading credentials again
+    await preWarmAuthTokens();
+  }
+
+  const credentials = await Promise.all(
+    Object.entries(credentialContentCache).map(async ([credentialPath, credentials]) => {
+      const status = { credential: getCredentialNumber(credentialPath), token: 'cached' };
+      if (!tokenCache.has(credentials.client_email)) {
+        try {
+          await getAccessToken(credentials);
+          status.token = 'minted';
+        } catch (error) {
+          status.token = 'failed';
+          status.error = error.message;
+          recordUpstreamError(ErrorCodes.UPSTREAM_AUTH, error.message);
+        }
+      }
+      return status;
+    })
+  );
+
+  return {
+    ready: credentials.some((status) => status.token !== 'failed'),
+    credentials,
+    lastSuccessfulOcrAt: upstreamStatus.lastSuccessfulOcrAt,
+    lastUpstreamError: upstreamStatus.lastUpstreamError,
+  };
+}
+
+/**
+ * Delete every temporary Google Doc still known to exist: docs of calls that
+ * did not finish before the shutdown deadline and docs whose delete failed
+ */
+async function deleteOrphanedTempDocs() {
+  const docs = Array.from(pendingTempDocs.entries());
+  if (docs.length === 0) return;
+
+  logger.info(`Deleting ${docs.length} orphaned temporary Google Doc(s)`);
+  await Promise.all(docs.map(async ([googleDocId, accessToken]) => {
+    try {
+      await deleteTempDoc(googleDocId, accessToken);
+    } catch (error) {
+      logger.error(`Failed to delete orphaned temp doc ${googleDocId}: ${error.message}`);
+      tempDocCleanupFailures.inc();
+    }
+  }));
+}
+
 module.exports = {
   performOcr,
-  preWarmAuthTokens
+  preWarmAuthTokens,
+  checkReadiness,
+  deleteOrphanedTempDocs,
+  cleanupTempFiles
 };
@@ -0,0 +1,186 @@
+/**
+ * Document Type Classification
+ * Scores the OCRed text against weighted keyword and regex rule sets, one per
+ * document type, and picks the best scoring type. Rules are loaded from the
+ * CLASSIFIER_RULES environment variable (JSON) or from the file named by
+ * CLASSIFIER_RULES_FILE (default secure_files/classifier-rules.json).
+ *
+ * Config format:
+ * {
+ *   "minScore": 3,
+ *   "types": {
+ *     "invoice": [
+ *       { "keyword": "invoice", "weight": 3 },
+ *       { "pattern": "invoice\\s*(no|number|#)", "flags": "i", "weight": 3 }
+ *     ]
+ *   }
+ * }
+ * Every rule that matches adds its weight (default 1, may be negative) once.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Built-in rule sets, can be overridden or extended by the "types" section of the config
+const DEFAULT_TYPES = {
+  invoice: [
+    { keyword: 'invoice', weight: 3 },
+    { pattern: 'invoice\\s*(no\\b|number|#|date)', flags: 'i', weight: 3 },
+    { keyword: 'bill to', weight: 2 },
+    { keyword: 'due date', weight: 2 },
+    { keyword: 'payment terms', weight: 2 },
+    { pattern: '(amount|balance) due', flags: 'i', weight: 2 },
+    { keyword: 'subtotal', weight: 1 },
+    { pattern: '\\b(vat|tax) (id|no|number|reg)', flags: 'i', weight: 1 },
+    { keyword: 'IBAN', weight: 1 },
+  ],
+  receipt: [
+    { keyword: 'receipt', weight: 3 },
+    { keyword: 'cashier', weight: 2 },
+    { pattern: 'thank you for (shopping|your purchase|visiting)', flags: 'i', weight: 3 },
+    { pattern: '\\b(change|cash|tender(ed)?)\\b', flags: 'i', weight: 1 },
+    { pattern: '\\b(visa|mastercard|amex|debit|credit card)\\b', flags: 'i', weight: 1 },
+    { pattern: '\\b(auth(orization)? code|terminal id|merchant id)\\b', flags: 'i', weight: 2 },
+    // Time of purchase
+    { pattern: '\\b\\d{1,2}:\\d{2}(:\\d{2})?\\b', weight: 1 },
+  ],
+  id: [
+    { keyword: 'passport', weight: 4 },
+    { pattern: '(identity|identification|national id) card', flags: 'i', weight: 4 },
+    { pattern: 'driv(er\'?s|ing) licen[cs]e', flags: 'i', weight: 4 },
+    { keyword: 'date of birth', weight: 3 },
+    { keyword: 'place of birth', weight: 2 },
+    { keyword: 'nationality', weight: 2 },
+    { pattern: '(date of )?expiry|expires', flags: 'i', weight: 1 },
+    { pattern: 'surname|given names?', flags: 'i', weight: 2 },
+    // Machine readable zone of passports and ID cards
+    { pattern: '^[A-Z0-9<]{2}[A-Z<]{3}[A-Z0-9<]{25,39}$', flags: 'm', weight: 4 },
+  ],
+  letter: [
+    { pattern: '^\\s*dear\\b', flags: 'im', weight: 4 },
+    { pattern: '(yours )?(sincerely|faithfully|truly)', flags: 'i', weight: 3 },
+    { pattern: '(best|kind|warm) regards', flags: 'i', weight: 3 },
+    { pattern: '^\\s*re:', flags: 'im', weight: 1 },
+    { pattern: 'enclosures?|encl\\.', flags: 'i', weight: 1 },
+  ],
+  form: [
+    { pattern: 'please (complete|fill in|fill out|print)', flags: 'i', weight: 3 },
+    { keyword: 'application form', weight: 3 },
+    { keyword: 'for office use only', weight: 3 },
+    { pattern: 'signature|signed', flags: 'i', weight: 2 },
+    { keyword: 'applicant', weight: 2 },
+    // Blanks and check boxes to fill in
+    { pattern: '_{5,}|\\.{8,}', weight: 2 },
+    { pattern: '[\\u2610\\u2611\\u2612\\u25A1]', weight: 2 },
+  ],
+};
+
+const DEFAULT_MIN_SCORE = 3;
+
+// type name -> [{ rule, regex }]
+const ruleSets = new Map();
+let minScore = DEFAULT_MIN_SCORE;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Keywords match case-insensitively, as whole words, with any whitespace
+// between their words
+function keywordRegex(keyword) {
+  const words = keyword.trim().split(/\s+/).map(escapeRegExp).join('\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${words}(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+function readRuleConfig() {
+  if (process.env.CLASSIFIER_RULES) {
+    return JSON.parse(process.env.CLASSIFIER_RULES);
+  }
+
+  const configPath = process.env.CLASSIFIER_RULES_FILE ||
+    path.join(__dirname, '..', 'secure_files', 'classifier-rules.json');
+  if (!fs.existsSync(configPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+}
+
+function compileRule(type, rule) {
+  const weight = rule.weight === undefined ? 1 : rule.weight;
+  if (typeof weight !== 'number' || !Number.isFinite(weight)) {
+    throw new Error(`Invalid classifier rule for "${type}": weight must be a number`);
+  }
+  if (typeof rule.keyword === 'string' && rule.keyword.trim()) {
+    return { rule: { keyword: rule.keyword, weight }, regex: keywordRegex(rule.keyword) };
+  }
+  if (typeof rule.pattern === 'string' && rule.pattern) {
+    try {
+      const regex = new RegExp(rule.pattern, (rule.flags || '').replace(/[gy]/g, ''));
+      return { rule: { pattern: rule.pattern, weight }, regex };
+    } catch (error) {
+      throw new Error(`Invalid classifier rule for "${type}": ${error.message}`);
+    }
+  }
+  throw new Error(`Invalid classifier rule for "${type}": needs a keyword or a pattern`);
+}
+
+function loadRules() {
+  ruleSets.clear();
+
+  let config;
+  try {
+    config = readRuleConfig() || {};
+  } catch (error) {
+    throw new Error(`Failed to load classifier rules: ${error.message}`);
+  }
+
+  const types = { ...DEFAULT_TYPES, ...(config.types || {}) };
+  for (const [type, rules] of Object.entries(types)) {
+    if (!Array.isArray(rules)) {
+      throw new Error(`Invalid classifier rules for "${type}": expected a list of rules`);
+    }
+    ruleSets.set(type, rules.map((rule) => compileRule(type, rule)));
+  }
+  minScore = config.minScore === undefined ? DEFAULT_MIN_SCORE : config.minScore;
+  if (typeof minScore !== 'number') {
+    throw new Error('Invalid classifier rules: minScore must be a number');
+  }
+
+  logger.info(`Loaded classifier rules for ${ruleSets.size} document type(s)`);
+}
+
+/**
+ * Classify a text. Returns `{ documentType, minScore, scores }`: scores lists
+ * every type with its score and the rules that matched, best first.
+ * documentType is the best type, or null when no type reaches minScore.
+ */
+function classifyText(text) {
+  const scores = [];
+  for (const [type, rules] of ruleSets) {
+    const matches = rules.filter(({ regex }) => regex.test(text)).map(({ rule }) => rule);
+    const score = matches.reduce((sum, rule) => sum + rule.weight, 0);
+    scores.push({ type, score, matches });
+  }
+  // Stable sort: on a tie the type listed first wins
+  scores.sort((a, b) => b.score - a.score);
+
+  const best = scores[0];
+  return {
+    documentType: best && best.score >= minScore ? best.type : null,
+    minScore,
+    scores,
+  };
+}
+
+/**
+ * The document types the classifier can return
+ */
+function getDocumentTypes() {
+  return [...ruleSets.keys()];
+}
+
+loadRules();
+
+module.exports = {
+  classifyText,
+  getDocumentTypes,
+};
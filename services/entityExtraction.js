@@ -0,0 +1,333 @@
+/**
+ * Entity Extraction
+ * Finds typed entities in the OCRed text: emails, phone numbers, URLs, dates
+ * (normalized to ISO 8601), currency amounts and IBANs, plus custom named
+ * regex patterns from the EXTRACT_PATTERNS environment variable (JSON) or the
+ * file named by EXTRACT_PATTERNS_FILE (default secure_files/extract-patterns.json).
+ * Every entity carries its offsets in the returned text.
+ *
+ * Config format:
+ * {
+ *   "patterns": {
+ *     "invoiceNumber": { "pattern": "Invoice No\\.?\\s*(\\w+)", "flags": "i" },
+ *     "orderId": "ORD-\\d{6}"
+ *   }
+ * }
+ * When a pattern has capture groups, the first one is the entity's value.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// How numeric dates like 03/04/2024 are read when both orders are valid
+const DATE_ORDER = (process.env.EXTRACT_DATE_ORDER || 'DMY').toUpperCase() === 'MDY' ? 'MDY' : 'DMY';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+
+const CURRENCY_SYMBOLS = {
+  $: 'USD',
+  '\u20AC': 'EUR', // euro
+  '\u00A3': 'GBP', // pound
+  '\u00A5': 'JPY', // yen
+  '\u20B9': 'INR', // rupee
+  '\u09F3': 'BDT', // taka
+  '\u20BD': 'RUB', // ruble
+  '\u20A9': 'KRW', // won
+  '\u20BA': 'TRY', // lira
+  '\u20AA': 'ILS', // shekel
+  '\u20AB': 'VND', // dong
+  '\u0E3F': 'THB', // baht
+};
+const CURRENCY_CODES = [
+  'USD', 'EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD', 'NZD', 'CNY', 'INR', 'BDT', 'PKR',
+  'RUB', 'KRW', 'TRY', 'ILS', 'VND', 'THB', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'HUF',
+  'SGD', 'HKD', 'MYR', 'IDR', 'PHP', 'AED', 'SAR', 'ZAR', 'BRL', 'MXN',
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const CURRENCY = `(${[...Object.keys(CURRENCY_SYMBOLS).map(escapeRegExp), ...CURRENCY_CODES].join('|')})`;
+// 1,234.56 / 1.234,56 / 1 234,56 / 1234
+const NUMBER = '(\\d{1,3}(?:[,. \\u00A0]\\d{3})+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?)';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+function isoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+const monthNumber = (name) => MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+
+// Day and month of a numeric date, preferring DATE_ORDER when both are valid
+function numericDate(first, second, year) {
+  const [day, month] = DATE_ORDER === 'DMY' ? [first, second] : [second, first];
+  return isoDate(year, month, day) || isoDate(year, day, month);
+}
+
+// Read a localized amount: the last separator followed by one or two digits
+// is the decimal separator, all others group thousands
+function parseAmount(number) {
+  const match = number.match(/^(.*?)(?:[.,](\d{1,2}))?$/);
+  const integer = match[1].replace(/[^\d]/g, '');
+  return match[2] ? `${integer}.${match[2]}` : integer;
+}
+
+// How phone numbers are written: with a country code, with an area code in
+// parentheses, or in a common national grouping (555-123-4567, 555-1234, or a
+// trunk prefix 0 as in 020 7946 0958 or 01 23 45 67 89). Other digit groups,
+// like quantities or account numbers, are not read as phone numbers.
+const PHONE_FORMATS = [
+  /^\+/,
+  /^\(\d{1,4}\)/,
+  /^\d{3}([ .-])\d{3}\1\d{4}$/,
+  /^\d{3}-\d{4}$/,
+  /^0\d{1,4}(?:[ .-]\d{2,8}){1,4}$/,
+];
+
+// ISO 13616 check: move the country code and check digits to the end, turn
+// letters into numbers and take the remainder modulo 97
+function isValidIban(iban) {
+  if (iban.length < 15 || iban.length > 34) return false;
+  const digits = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, (letter) => letter.charCodeAt(0) - 55);
+  let remainder = 0;
+  for (const digit of digits) remainder = (remainder * 10 + Number(digit)) % 97;
+  return remainder === 1;
+}
+
+/**
+ * Built-in extractors, in priority order: where matches overlap, the earlier
+ * type wins (a date or an IBAN is not also read as a phone number).
+ * `normalize(match)` returns the normalized value, or null to drop the match;
+ * it may return `{ normalized, ...extra }` for entities with more fields.
+ * With `claimRejected`, dropped matches still keep later types off their text.
+ */
+const EXTRACTORS = [
+  {
+    type: 'url',
+    pattern: /\b(?:https?:\/\/|www\.)[^\s<>"]+/gi,
+    // Punctuation ending the sentence the URL is in
+    trim: /[.,;:!?)\]}'"]+$/,
+    normalize: (match) => (/^www\./i.test(match[0]) ? `http://${match[0]}` : match[0]),
+  },
+  {
+    type: 'email',
+    pattern: /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi,
+    normalize: (match) => match[0].toLowerCase(),
+  },
+  {
+    type: 'iban',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+    normalize: (match) => {
+      const iban = match[0].replace(/ /g, '');
+      return isValidIban(iban) ? iban : null;
+    },
+  },
+  {
+    type: 'date',
+    pattern: new RegExp(
+      [
+        // 2024-01-31, 2024/01/31; not part of a longer dotted or dashed
+        // run of numbers such as a version v1.2.3.4567
+        '(?<![\\w.,/-])(\\d{4})([-/.])(\\d{1,2})\\2(\\d{1,2})\\b(?![-/.,]\\d)',
+        // 31.01.2024, 31/01/2024, 01-31-2024
+        '(?<![\\w.,/-])(\\d{1,2})([-/.])(\\d{1,2})\\6(\\d{4})\\b(?![-/.,]\\d)',
+        // 31 January 2024, 31-Jan-2024
+        `\\b(\\d{1,2})(?:st|nd|rd|th)?[ -]${MONTH_NAME}(?:,? |-)(\\d{4})\\b`,
+        // January 31, 2024
+        `\\b${MONTH_NAME} (\\d{1,2})(?:st|nd|rd|th)?,? (\\d{4})\\b`,
+      ].join('|'),
+      'gi'
+    ),
+    // Impossible dates such as 2024-13-01 are not phone numbers either
+    claimRejected: true,
+    normalize: (match) => {
+      if (match[1]) return isoDate(Number(match[1]), Number(match[3]), Number(match[4]));
+      if (match[5]) return numericDate(Number(match[5]), Number(match[7]), Number(match[8]));
+      if (match[9]) return isoDate(Number(match[11]), monthNumber(match[10]), Number(match[9]));
+      return isoDate(Number(match[14]), monthNumber(match[12]), Number(match[13]));
+    },
+  },
+  {
+    type: 'amount',
+    pattern: new RegExp(
+      `(?<![A-Za-z])${CURRENCY} ?${NUMBER}(?!\\d)|(?<![\\d.,])${NUMBER} ?${CURRENCY}(?![A-Za-z])`,
+      'g'
+    ),
+    normalize: (match) => {
+      const currency = match[1] || match[4];
+      return {
+        normalized: parseAmount(match[2] || match[3]),
+        currency: CURRENCY_SYMBOLS[currency] || currency,
+      };
+    },
+  },
+  {
+    type: 'phone',
+    pattern: /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,8}(?:[ .-]\d{2,8}){0,4}(?!\w)/g,
+    normalize: (match) => {
+      const digits = match[0].replace(/\D/g, '');
+      if (digits.length < 7 || digits.length > 15) return null;
+      // Thousands separators, as in 100.000.000
+      if (/^\d{1,3}(?:\.\d{3})+$/.test(match[0])) return null;
+      if (!PHONE_FORMATS.some((format) => format.test(match[0]))) return null;
+      return match[0].startsWith('+') ? `+${digits}` : digits;
+    },
+  },
+];
+
+const BUILT_IN_TYPES = EXTRACTORS.map((extractor) => extractor.type);
+
+// name -> RegExp, from the config
+const customPatterns = new Map();
+
+function readPatternConfig() {
+  if (process.env.EXTRACT_PATTERNS) {
+    return JSON.parse(process.env.EXTRACT_PATTERNS);
+  }
+
+  const configPath = process.env.EXTRACT_PATTERNS_FILE ||
+    path.join(__dirname, '..', 'secure_files', 'extract-patterns.json');
+  if (!fs.existsSync(configPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+}
+
+function loadCustomPatterns() {
+  customPatterns.clear();
+
+  let config;
+  try {
+    config = readPatternConfig();
+  } catch (error) {
+    throw new Error(`Failed to load extraction patterns: ${error.message}`);
+  }
+  if (!config) return;
+
+  for (const [name, entry] of Object.entries(config.patterns || {})) {
+    if (!/^[A-Za-z][\w-]*$/.test(name) || BUILT_IN_TYPES.includes(name)) {
+      throw new Error(`Invalid extraction pattern name "${name}": use letters, digits, _ and -, and no built-in type`);
+    }
+    const { pattern, flags = '' } = typeof entry === 'string' ? { pattern: entry } : entry;
+    try {
+      // g to find every match, d for the offsets of the capture groups
+      customPatterns.set(name, new RegExp(pattern, `${flags.replace(/[gd]/g, '')}gd`));
+    } catch (error) {
+      throw new Error(`Invalid extraction pattern "${name}": ${error.message}`);
+    }
+  }
+
+  logger.info(`Loaded ${customPatterns.size} custom extraction pattern(s)`);
+}
+
+function* matchesOf(pattern, text) {
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    // Never loop on empty matches
+    if (match[0] === '') {
+      pattern.lastIndex++;
+      continue;
+    }
+    yield match;
+  }
+}
+
+function builtInEntities(extractor, text) {
+  const entities = [];
+  for (const match of matchesOf(extractor.pattern, text)) {
+    const value = extractor.trim ? match[0].replace(extractor.trim, '') : match[0];
+    const normalized = extractor.normalize([value, ...match.slice(1)]);
+    if (normalized === null) {
+      if (extractor.claimRejected) {
+        entities.push({ type: extractor.type, rejected: true, start: match.index, end: match.index + value.length });
+      }
+      continue;
+    }
+    entities.push({
+      type: extractor.type,
+      value,
+      ...(typeof normalized === 'object' ? normalized : { normalized }),
+      start: match.index,
+      end: match.index + value.length,
+    });
+  }
+  return entities;
+}
+
+function customEntities(name, pattern, text) {
+  const entities = [];
+  for (const match of matchesOf(pattern, text)) {
+    const group = match.length > 1 && match[1] !== undefined ? 1 : 0;
+    const [start, end] = match.indices[group];
+    entities.push({ type: name, value: match[group], normalized: match[group], start, end });
+  }
+  return entities;
+}
+
+/**
+ * Claim the range of `entity` unless it overlaps a range already in
+ * `claimed`. Claimed ranges never overlap, so sorted by start they are sorted
+ * by end too, and a binary search finds the only one that could overlap.
+ */
+function claimRange(claimed, entity) {
+  // First claimed range ending after the entity starts
+  let low = 0;
+  let high = claimed.length;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (claimed[middle].end <= entity.start) low = middle + 1;
+    else high = middle;
+  }
+  if (low < claimed.length && claimed[low].start < entity.end) return false;
+  claimed.splice(low, 0, entity);
+  return true;
+}
+
+/**
+ * Find the entities of the requested types (`true` for all types) in a text.
+ * Returns `[{ type, value, normalized, start, end }]` sorted by position;
+ * `start` and `end` are offsets into the text (end exclusive), amounts also
+ * have a `currency` code. Built-in types never overlap each other; custom
+ * patterns are matched independently.
+ */
+function extractEntities(text, types) {
+  const wanted = (type) => types === true || types.includes(type);
+
+  // Lower-priority types still claim their matches, so a date is not read as
+  // a phone number even when only phone numbers are requested
+  const claimed = [];
+  const entities = [];
+  for (const extractor of EXTRACTORS) {
+    for (const entity of builtInEntities(extractor, text)) {
+      if (!claimRange(claimed, entity)) continue;
+      if (!entity.rejected && wanted(entity.type)) entities.push(entity);
+    }
+  }
+  for (const [name, pattern] of customPatterns) {
+    if (wanted(name)) entities.push(...customEntities(name, pattern, text));
+  }
+
+  return entities.sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+/**
+ * The entity types an `extract` option can name: the built-in types and the
+ * custom patterns
+ */
+function getEntityTypes() {
+  return [...BUILT_IN_TYPES, ...customPatterns.keys()];
+}
+
+loadCustomPatterns();
+
+module.exports = {
+  extractEntities,
+  getEntityTypes,
+  parseAmount,
+};
@@ -0,0 +1,77 @@
+/**
+ * Machine-readable error codes
+ * Every failed item and every failed request carries one of these codes next
+ * to its human readable message. Codes are stable; messages may change.
+ */
+
+const ErrorCodes = Object.freeze({
+  // Request level
+  NO_INPUT: 'NO_INPUT',
+  VALIDATION_ERROR: 'VALIDATION_ERROR',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+  NOT_FOUND: 'NOT_FOUND',
+  INVALID_CALLBACK_URL: 'INVALID_CALLBACK_URL',
+  IDEMPOTENCY_KEY_MISMATCH: 'IDEMPOTENCY_KEY_MISMATCH',
+  UPLOAD_ERROR: 'UPLOAD_ERROR',
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+  SHUTTING_DOWN: 'SHUTTING_DOWN',
+  QUEUE_FULL: 'QUEUE_FULL',
+
+  // Item level - input validation
+  MISSING_FIELDS: 'MISSING_FIELDS',
+  INVALID_BASE64: 'INVALID_BASE64',
+  FILE_TOO_LARGE: 'FILE_TOO_LARGE',
+  UNSUPPORTED_TYPE: 'UNSUPPORTED_TYPE',
+  TYPE_MISMATCH: 'TYPE_MISMATCH',
+  URL_BLOCKED: 'URL_BLOCKED',
+  URL_FETCH_FAILED: 'URL_FETCH_FAILED',
+  INVALID_PDF: 'INVALID_PDF',
+  INVALID_TIFF: 'INVALID_TIFF',
+  OUTPUT_UNAVAILABLE: 'OUTPUT_UNAVAILABLE',
+  INVALID_PAGE_RANGE: 'INVALID_PAGE_RANGE',
+  PREPROCESS_FAILED: 'PREPROCESS_FAILED',
+
+  // Item level - OCR and Google APIs
+  UPSTREAM_AUTH: 'UPSTREAM_AUTH',
+  UPSTREAM_QUOTA: 'UPSTREAM_QUOTA',
+  UPSTREAM_ERROR: 'UPSTREAM_ERROR',
+  CLEANUP_FAILED: 'CLEANUP_FAILED',
+  OCR_FAILED: 'OCR_FAILED',
+});
+
+// Google API error reasons that mean we ran out of quota rather than permission
+const QUOTA_REASONS = [
+  'rateLimitExceeded',
+  'userRateLimitExceeded',
+  'dailyLimitExceeded',
+  'quotaExceeded',
+  'storageQuotaExceeded',
+];
+
+/**
+ * Map an error returned by a Google API call (axios or googleapis) to a code
+ */
+function classifyUpstreamError(error) {
+  const response = error.response;
+  if (!response) {
+    return ErrorCodes.UPSTREAM_ERROR;
+  }
+
+  const status = response.status;
+  const apiError = (response.data && response.data.error) || {};
+  const reasons = (apiError.errors || []).map((e) => e.reason);
+
+  if (status === 429 || reasons.some((reason) => QUOTA_REASONS.includes(reason))) {
+    return ErrorCodes.UPSTREAM_QUOTA;
+  }
+  if (status === 401 || status === 403) {
+    return ErrorCodes.UPSTREAM_AUTH;
+  }
+  return ErrorCodes.UPSTREAM_ERROR;
+}
+
+module.exports = {
+  ErrorCodes,
+  classifyUpstreamError,
+};
@@ -0,0 +1,177 @@
+/**
+ * File Type Detection
+ * Identifies supported formats from their leading "magic" bytes, so raw base64
+ * items (no data URL) and mislabelled uploads are sent to Drive with their real
+ * MIME type, and files whose content does not match the declared type are
+ * rejected.
+ */
+
+const { ErrorCodes } = require('./errorCodes');
+
+// Declared types that say nothing about the content
+const GENERIC_TYPES = ['', 'application/octet-stream', 'binary/octet-stream'];
+
+// Common non-canonical spellings of the supported types
+const TYPE_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'image/pjpeg': 'image/jpeg',
+  'image/x-png': 'image/png',
+  'image/x-ms-bmp': 'image/bmp',
+  'image/x-bmp': 'image/bmp',
+  'image/tif': 'image/tiff',
+  'image/x-tiff': 'image/tiff',
+  'application/x-pdf': 'application/pdf',
+};
+
+const startsWith = (data, bytes, offset = 0) =>
+  data.length >= offset + bytes.length &&
+  bytes.every((byte, index) => data[offset + index] === byte);
+
+const ascii = (text) => [...text].map((char) => char.charCodeAt(0));
+
+const SIGNATURES = [
+  { mimeType: 'image/jpeg', test: (data) => startsWith(data, [0xff, 0xd8, 0xff]) },
+  { mimeType: 'image/png', test: (data) => startsWith(data, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { mimeType: 'image/gif', test: (data) => startsWith(data, ascii('GIF87a')) || startsWith(data, ascii('GIF89a')) },
+  { mimeType: 'image/webp', test: (data) => startsWith(data, ascii('RIFF')) && startsWith(data, ascii('WEBP'), 8) },
+  // Little and big endian, classic TIFF (42) and BigTIFF (43)
+  {
+    mimeType: 'image/tiff',
+    test: (data) =>
+      startsWith(data, [0x49, 0x49, 0x2a, 0x00]) || startsWith(data, [0x4d, 0x4d, 0x00, 0x2a]) ||
+      startsWith(data, [0x49, 0x49, 0x2b, 0x00]) || startsWith(data, [0x4d, 0x4d, 0x00, 0x2b]),
+  },
+  // "BM" followed by the file size is too weak on its own; also check the
+  // reserved bytes and a known DIB header size
+  {
+    mimeType: 'image/bmp',
+    test: (data) =>
+      startsWith(data, ascii('BM')) && data.length >= 18 &&
+      data.readUInt32LE(6) === 0 && [12, 40, 52, 56, 64, 108, 124].includes(data.readUInt32LE(14)),
+  },
+  // Readers accept the header anywhere in the first 1024 bytes
+  { mimeType: 'application/pdf', test: (data) => data.subarray(0, 1024).includes('%PDF-') },
+];
+
+/**
+ * Detected MIME type of a buffer, or null when it is not a supported format
+ */
+function detectFileType(data) {
+  const signature = SIGNATURES.find(({ test }) => test(data));
+  return signature ? signature.mimeType : null;
+}
+
+// JPEG start-of-frame markers (SOF0-SOF15 without DHT, JPG and DAC), which
+// carry the image size
+const JPEG_FRAME_MARKERS = [0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf];
+
+function jpegDimensions(data) {
+  let offset = 2;
+  while (offset + 9 <= data.length) {
+    if (data[offset] !== 0xff) return null;
+    const marker = data[offset + 1];
+    // Fill bytes before a marker
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (JPEG_FRAME_MARKERS.includes(marker)) {
+      return { width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+    }
+    // Markers without a length: TEM and RST0-RST7
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2;
+      continue;
+    }
+    // Start of scan or end of image before any frame header
+    if (marker === 0xda || marker === 0xd9) return null;
+    offset += 2 + data.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function webpDimensions(data) {
+  if (data.length < 30) return null;
+  const chunk = data.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ' && startsWith(data, [0x9d, 0x01, 0x2a], 23)) {
+    return { width: data.readUInt16LE(26) & 0x3fff, height: data.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L' && data[20] === 0x2f) {
+    const bits = data.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >>> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    return { width: data.readUIntLE(24, 3) + 1, height: data.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+/**
+ * Pixel size `{ width, height }` of a JPEG, PNG, GIF, BMP or WebP image, read
+ * from its header without decoding it, or null when it cannot be read
+ */
+function imageDimensions(data) {
+  switch (detectFileType(data)) {
+    case 'image/png':
+      return data.length >= 24 && data.toString('ascii', 12, 16) === 'IHDR'
+        ? { width: data.readUInt32BE(16), height: data.readUInt32BE(20) }
+        : null;
+    case 'image/jpeg':
+      return jpegDimensions(data);
+    case 'image/gif':
+      return data.length >= 10 ? { width: data.readUInt16LE(6), height: data.readUInt16LE(8) } : null;
+    case 'image/bmp':
+      if (data.length < 26) return null;
+      // Old OS/2 headers use 16-bit sizes; negative heights mark top-down bitmaps
+      return data.readUInt32LE(14) === 12
+        ? { width: data.readUInt16LE(18), height: data.readUInt16LE(20) }
+        : { width: Math.abs(data.readInt32LE(18)), height: Math.abs(data.readInt32LE(22)) };
+    case 'image/webp':
+      return webpDimensions(data);
+    default:
+      return null;
+  }
+}
+
+function normalizeType(mimeType) {
+  const type = String(mimeType || '').split(';')[0].trim().toLowerCase();
+  return TYPE_ALIASES[type] || type;
+}
+
+/**
+ * Check a file's content against its declared MIME type. Returns
+ * `{ mimeType, declaredType, detectedType }` with the type to send to Drive,
+ * or `{ errorCode, error }` when the content is unrecognised or contradicts a
+ * specific declared type.
+ */
+function resolveFileType(data, declaredType) {
+  const declared = normalizeType(declaredType);
+  const detectedType = detectFileType(data);
+  const isGeneric = GENERIC_TYPES.includes(declared);
+
+  if (!detectedType) {
+    return {
+      errorCode: ErrorCodes.UNSUPPORTED_TYPE,
+      error: isGeneric
+        ? 'Could not detect the file type. Only JPEG, PNG, GIF, BMP, WebP, TIFF and PDF files are supported.'
+        : `File content does not match its declared type ${declared} or any supported format.`,
+    };
+  }
+  if (!isGeneric && declared !== detectedType) {
+    return {
+      errorCode: ErrorCodes.TYPE_MISMATCH,
+      error: `File is declared as ${declared} but its content is ${detectedType}.`,
+    };
+  }
+  return {
+    mimeType: detectedType,
+    declaredType: declaredType || null,
+    detectedType,
+  };
+}
+
+module.exports = {
+  detectFileType,
+  imageDimensions,
+  resolveFileType,
+};
@@ -0,0 +1,170 @@
+/**
+ * Idempotency-Key support for OCR POST endpoints
+ * The first response sent for a key is stored and replayed for later requests
+ * with the same key and the same body, so a client retrying a timed-out request
+ * does not OCR (and pay for) the batch twice. Duplicates arriving while the
+ * first request is still running wait for its response. Keys are scoped to the
+ * API key and route; reusing a key with a different body is rejected with 422.
+ */
+
+const crypto = require('crypto');
+const { LRUCache } = require('lru-cache');
+const { getKeyOwner } = require('./apiKeyService');
+const { ErrorCodes } = require('./errorCodes');
+const { sendError } = require('./responseFormat');
+const { getStreamFormat } = require('./resultStream');
+const logger = require('./logger');
+
+const IDEMPOTENCY_TTL_MS = parseInt(process.env.IDEMPOTENCY_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+// Total size of the stored response bodies
+const IDEMPOTENCY_MAX_BYTES = parseInt(process.env.IDEMPOTENCY_MAX_BYTES, 10) || 50 * 1024 * 1024;
+const MAX_KEY_LENGTH = 255;
+// Response headers replayed together with the stored body
+const REPLAYED_HEADERS = ['content-type', 'content-disposition', 'location'];
+// Rejections that a later retry can get past: request timeouts, conflicts and
+// rate or quota limits (the route's page quota is charged after this middleware)
+const RETRYABLE_STATUSES = new Set([408, 409, 425, 429]);
+
+// scoped key -> { fingerprint, done: Promise, response: { status, headers, body } | null }
+const records = new LRUCache({
+  maxSize: IDEMPOTENCY_MAX_BYTES,
+  sizeCalculation: (record) => (record.response ? record.response.body.length + 1 : 1),
+  ttl: IDEMPOTENCY_TTL_MS,
+});
+
+/**
+ * Hash of everything in the request that affects its response
+ */
+function fingerprintRequest(req) {
+  const hash = crypto.createHash('sha256');
+  hash.update(JSON.stringify({
+    query: req.query,
+    body: req.body,
+    stream: getStreamFormat(req),
+  }));
+  for (const file of req.files || []) {
+    hash.update(JSON.stringify([file.fieldname, file.originalname, file.mimetype]));
+    hash.update(file.buffer);
+  }
+  return hash.digest('hex');
+}
+
+// Record status, headers and body of everything the route sends
+function captureResponse(res, onComplete) {
+  const chunks = [];
+  const toBuffer = (chunk, encoding) =>
+    Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+
+  const write = res.write.bind(res);
+  const end = res.end.bind(res);
+  res.write = (chunk, ...args) => {
+    if (chunk) chunks.push(toBuffer(chunk, args[0]));
+    return write(chunk, ...args);
+  };
+  res.end = (chunk, ...args) => {
+    if (chunk && typeof chunk !== 'function') chunks.push(toBuffer(chunk, args[0]));
+    return end(chunk, ...args);
+  };
+
+  let completed = false;
+  const complete = (response) => {
+    if (completed) return;
+    completed = true;
+    onComplete(response);
+  };
+
+  res.on('finish', () => {
+    const headers = {};
+    for (const name of REPLAYED_HEADERS) {
+      if (res.getHeader(name) !== undefined) headers[name] = res.getHeader(name);
+    }
+    complete({ status: res.statusCode, headers, body: Buffer.concat(chunks) });
+  });
+  // Client went away before the response was finished
+  res.on('close', () => complete(null));
+}
+
+function replay(res, response) {
+  res.status(response.status);
+  res.set(response.headers);
+  res.set('Idempotent-Replayed', 'true');
+  res.end(response.body);
+}
+
+/**
+ * Route middleware. Place it after body parsing and validation and before
+ * quota charging, so replays do not use up pages.
+ */
+async function idempotency(req, res, next) {
+  const idempotencyKey = req.get('Idempotency-Key');
+  if (idempotencyKey === undefined) return next();
+
+  if (idempotencyKey.length === 0 || idempotencyKey.length > MAX_KEY_LENGTH) {
+    return sendError(
+      req,
+      res,
+      400,
+      ErrorCodes.VALIDATION_ERROR,
+      `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters long.`
+    );
+  }
+
+  const scopedKey = `${getKeyOwner(req)} ${req.baseUrl}${req.route.path} ${idempotencyKey}`;
+  const fingerprint = fingerprintRequest(req);
+
+  // Loop because a request we waited on may fail and leave the key free again
+  for (;;) {
+    const record = records.get(scopedKey);
+
+    if (!record) break;
+
+    if (record.fingerprint !== fingerprint) {
+      return sendError(
+        req,
+        res,
+        422,
+        ErrorCodes.IDEMPOTENCY_KEY_MISMATCH,
+        'Idempotency-Key was already used with a different request body.'
+      );
+    }
+
+    if (record.response) {
+      logger.info(`Replaying stored response for Idempotency-Key ${idempotencyKey}`);
+      return replay(res, record.response);
+    }
+
+    await record.done;
+  }
+
+  let markDone;
+  const record = {
+    fingerprint,
+    done: new Promise((resolve) => {
+      markDone = resolve;
+    }),
+    response: null,
+  };
+  records.set(scopedKey, record);
+
+  captureResponse(res, (response) => {
+    // Server errors, retryable rejections and aborted responses are not
+    // stored, so a retry runs again. Routes set res.locals.idempotencyRetryable
+    // for responses that are retryable despite their status, such as items
+    // failed over the page quota.
+    const retryable = !response || response.status >= 500 ||
+      RETRYABLE_STATUSES.has(response.status) || res.locals.idempotencyRetryable;
+    if (!retryable) {
+      record.response = response;
+      records.set(scopedKey, record);
+    } else if (records.get(scopedKey) === record) {
+      records.delete(scopedKey);
+    }
+    markDone();
+  });
+
+  next();
+}
+
+module.exports = {
+  idempotency,
+};
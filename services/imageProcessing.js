@@ -0,0 +1,330 @@
+/**
+ * Image Processing
+ * Optional preprocessing of images before they are uploaded to Drive, using
+ * node-canvas: crop, rotation by quarter turns, upscaling of tiny images,
+ * grayscale, contrast normalization and binarization. Steps always run in
+ * that order; the ones that changed the image are reported back.
+ *
+ * Also shrinks oversized images (downscale and JPEG recompression) until they
+ * fit the upload limit, without going below a minimum legible resolution.
+ */
+
+const { ErrorCodes } = require('./errorCodes');
+const { imageDimensions } = require('./fileType');
+
+// Shorter side tiny images are upscaled to, and the largest factor used
+const UPSCALE_MIN_SIDE = parseInt(process.env.PREPROCESS_UPSCALE_MIN_SIDE, 10) || 1000;
+const MAX_UPSCALE_FACTOR = 4;
+// Refuse to build canvases larger than this many pixels
+const MAX_PIXELS = parseInt(process.env.PREPROCESS_MAX_PIXELS, 10) || 40 * 1000 * 1000;
+// Share of darkest and brightest pixels ignored when stretching contrast
+const CONTRAST_CLIP = 0.01;
+// Shrinking stops at this resolution, assuming the image shows a whole page
+// whose long side is FIT_PAGE_LONG_SIDE_INCHES (A4 by default)
+const FIT_MIN_DPI = parseInt(process.env.FIT_MIN_DPI, 10) || 150;
+const FIT_PAGE_LONG_SIDE_INCHES = parseFloat(process.env.FIT_PAGE_LONG_SIDE_INCHES) || 11.69;
+// JPEG qualities tried at each size, best first
+const FIT_JPEG_QUALITIES = [0.85, 0.7, 0.55];
+
+let canvasModule;
+
+function processingError(message, code = ErrorCodes.PREPROCESS_FAILED) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// node-canvas is loaded on first use; its native module may be missing
+function loadCanvas() {
+  if (canvasModule === undefined) {
+    try {
+      canvasModule = require('canvas');
+    } catch (error) {
+      canvasModule = null;
+    }
+  }
+  if (!canvasModule) {
+    throw processingError('Image processing is unavailable on this server (canvas could not be loaded).');
+  }
+  return canvasModule;
+}
+
+function newCanvas(width, height) {
+  if (width * height > MAX_PIXELS) {
+    throw processingError(`Image of ${width}x${height} pixels is too large to process.`);
+  }
+  const canvas = loadCanvas().createCanvas(width, height);
+  return { canvas, context: canvas.getContext('2d') };
+}
+
+async function decodeImage(data) {
+  const { loadImage } = loadCanvas();
+  // loadImage decodes the whole bitmap, so a small file declaring huge
+  // dimensions is refused from its header first
+  const size = imageDimensions(data);
+  if (size && size.width * size.height > MAX_PIXELS) {
+    throw processingError(`Image of ${size.width}x${size.height} pixels is too large to process.`);
+  }
+  try {
+    return await loadImage(data);
+  } catch (error) {
+    throw processingError(`Could not decode image for processing: ${error.message}`);
+  }
+}
+
+function crop(source, box) {
+  const { x, y, width, height } = box;
+  if (x + width > source.width || y + height > source.height) {
+    throw processingError(
+      `Crop box ${width}x${height}+${x}+${y} is outside the ${source.width}x${source.height} image.`,
+      ErrorCodes.VALIDATION_ERROR
+    );
+  }
+  const { canvas, context } = newCanvas(width, height);
+  context.drawImage(source, x, y, width, height, 0, 0, width, height);
+  return canvas;
+}
+
+function rotate(source, degrees) {
+  const quarterTurn = degrees === 90 || degrees === 270;
+  const { canvas, context } = newCanvas(
+    quarterTurn ? source.height : source.width,
+    quarterTurn ? source.width : source.height
+  );
+  context.translate(canvas.width / 2, canvas.height / 2);
+  context.rotate((degrees * Math.PI) / 180);
+  context.drawImage(source, -source.width / 2, -source.height / 2);
+  return canvas;
+}
+
+function scale(source, factor) {
+  const { canvas, context } = newCanvas(
+    Math.round(source.width * factor),
+    Math.round(source.height * factor)
+  );
+  context.imageSmoothingEnabled = true;
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return canvas;
+}
+
+const luminance = (pixels, i) =>
+  0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2];
+
+function luminanceHistogram(pixels) {
+  const histogram = new Array(256).fill(0);
+  for (let i = 0; i < pixels.length; i += 4) {
+    histogram[Math.round(luminance(pixels, i))]++;
+  }
+  return histogram;
+}
+
+function toGrayscale(pixels) {
+  for (let i = 0; i < pixels.length; i += 4) {
+    const gray = luminance(pixels, i);
+    pixels[i] = pixels[i + 1] = pixels[i + 2] = gray;
+  }
+}
+
+// Stretch the luminance range between the clip percentiles to 0-255
+function normalizeContrast(pixels) {
+  const histogram = luminanceHistogram(pixels);
+  const total = pixels.length / 4;
+  const clipCount = total * CONTRAST_CLIP;
+
+  let low = 0;
+  for (let seen = 0; low < 255 && seen + histogram[low] <= clipCount; low++) seen += histogram[low];
+  let high = 255;
+  for (let seen = 0; high > 0 && seen + histogram[high] <= clipCount; high--) seen += histogram[high];
+  if (high <= low) return null;
+
+  const factor = 255 / (high - low);
+  for (let i = 0; i < pixels.length; i += 4) {
+    for (let channel = 0; channel < 3; channel++) {
+      pixels[i + channel] = (pixels[i + channel] - low) * factor;
+    }
+  }
+  return { low, high };
+}
+
+// Otsu's method: the threshold maximizing the between-class variance
+function otsuThreshold(pixels) {
+  const histogram = luminanceHistogram(pixels);
+  const total = pixels.length / 4;
+  let sum = 0;
+  for (let level = 0; level < 256; level++) sum += level * histogram[level];
+
+  let backgroundSum = 0;
+  let backgroundCount = 0;
+  let bestVariance = -1;
+  let threshold = 128;
+  for (let level = 0; level < 256; level++) {
+    backgroundCount += histogram[level];
+    if (backgroundCount === 0) continue;
+    const foregroundCount = total - backgroundCount;
+    if (foregroundCount === 0) break;
+    backgroundSum += level * histogram[level];
+    const backgroundMean = backgroundSum / backgroundCount;
+    const foregroundMean = (sum - backgroundSum) / foregroundCount;
+    const variance = backgroundCount * foregroundCount * (backgroundMean - foregroundMean) ** 2;
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      threshold = level;
+    }
+  }
+  return threshold;
+}
+
+function binarize(pixels, threshold) {
+  for (let i = 0; i < pixels.length; i += 4) {
+    const value = luminance(pixels, i) > threshold ? 255 : 0;
+    pixels[i] = pixels[i + 1] = pixels[i + 2] = value;
+  }
+}
+
+/**
+ * Run the requested preprocessing steps on an image. Resolves with
+ * `{ data, mimeType, report }` where data is a PNG and report lists the
+ * applied steps and the dimensions before and after; rejects with an error
+ * whose `code` is an ErrorCodes value.
+ *
+ * options: { crop: {x, y, width, height}, rotate: 90|180|270,
+ *            upscale: true | { minSide }, grayscale: true,
+ *            normalizeContrast: true, binarize: true | { threshold } }
+ */
+async function preprocessImage(data, options) {
+  const image = await decodeImage(data);
+  const applied = [];
+  let source = image;
+
+  if (options.crop) {
+    source = crop(source, options.crop);
+    applied.push({ step: 'crop', ...options.crop });
+  }
+
+  if (options.rotate) {
+    source = rotate(source, options.rotate);
+    applied.push({ step: 'rotate', degrees: options.rotate });
+  }
+
+  if (options.upscale) {
+    const minSide = (typeof options.upscale === 'object' && options.upscale.minSide) || UPSCALE_MIN_SIDE;
+    const shorterSide = Math.min(source.width, source.height);
+    if (shorterSide < minSide) {
+      const factor = Math.min(MAX_UPSCALE_FACTOR, minSide / shorterSide);
+      source = scale(source, factor);
+      applied.push({ step: 'upscale', factor: Math.round(factor * 100) / 100 });
+    }
+  }
+
+  // Copy to a canvas we own so pixel steps never touch the decoded image
+  const { canvas, context } = newCanvas(source.width, source.height);
+  // Transparent areas become white rather than black
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(source, 0, 0);
+
+  const pixelSteps = options.grayscale || options.normalizeContrast || options.binarize;
+  if (pixelSteps) {
+    const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+    const pixels = imageData.data;
+
+    if (options.grayscale || options.binarize) {
+      toGrayscale(pixels);
+      applied.push({ step: 'grayscale' });
+    }
+    if (options.normalizeContrast) {
+      const range = normalizeContrast(pixels);
+      if (range) applied.push({ step: 'normalizeContrast', ...range });
+    }
+    if (options.binarize) {
+      const threshold = typeof options.binarize === 'object' && options.binarize.threshold !== undefined
+        ? options.binarize.threshold
+        : otsuThreshold(pixels);
+      binarize(pixels, threshold);
+      applied.push({ step: 'binarize', threshold });
+    }
+
+    context.putImageData(imageData, 0, 0);
+  }
+
+  return {
+    data: canvas.toBuffer('image/png'),
+    mimeType: 'image/png',
+    report: {
+      applied,
+      originalWidth: image.width,
+      originalHeight: image.height,
+      width: canvas.width,
+      height: canvas.height,
+    },
+  };
+}
+
+// Draw an image onto a new white canvas of the given size
+function drawScaled(image, width, height) {
+  const { canvas, context } = newCanvas(width, height);
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, width, height);
+  context.imageSmoothingEnabled = true;
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(image, 0, 0, width, height);
+  return canvas;
+}
+
+/**
+ * Shrink an image until it is at most `maxBytes`: recompress as JPEG at
+ * decreasing quality, then downscale (keeping the aspect ratio) and retry,
+ * never going below FIT_MIN_DPI for a page-sized document. Resolves with
+ * `{ data, mimeType, report }`; rejects with FILE_TOO_LARGE when the image
+ * cannot fit.
+ */
+async function fitImageToSize(data, maxBytes) {
+  const image = await decodeImage(data);
+  const longSide = Math.max(image.width, image.height);
+  const minLongSide = Math.round(FIT_MIN_DPI * FIT_PAGE_LONG_SIDE_INCHES);
+  const minScale = Math.min(1, minLongSide / longSide);
+
+  let scaleFactor = 1;
+  for (;;) {
+    const width = Math.max(1, Math.round(image.width * scaleFactor));
+    const height = Math.max(1, Math.round(image.height * scaleFactor));
+    const canvas = drawScaled(image, width, height);
+
+    let smallest = null;
+    for (const quality of FIT_JPEG_QUALITIES) {
+      const output = canvas.toBuffer('image/jpeg', { quality });
+      if (output.length <= maxBytes) {
+        return {
+          data: output,
+          mimeType: 'image/jpeg',
+          report: {
+            originalWidth: image.width,
+            originalHeight: image.height,
+            originalBytes: data.length,
+            width,
+            height,
+            bytes: output.length,
+            quality,
+          },
+        };
+      }
+      smallest = output;
+    }
+
+    if (scaleFactor <= minScale) {
+      throw processingError(
+        `Image cannot be reduced below ${maxBytes} bytes without going under ${FIT_MIN_DPI} DPI.`,
+        ErrorCodes.FILE_TOO_LARGE
+      );
+    }
+    // JPEG size grows roughly with the pixel count; aim a little below the limit
+    const nextScale = scaleFactor * Math.sqrt(maxBytes / smallest.length) * 0.95;
+    scaleFactor = Math.max(minScale, Math.min(nextScale, scaleFactor * 0.9));
+  }
+}
+
+module.exports = {
+  preprocessImage,
+  fitImageToSize,
+};
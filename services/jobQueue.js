@@ -0,0 +1,268 @@
+/**
+ * In-process OCR Job Queue
+ * Accepts batches of OCR work, returns a job id immediately and processes the
+ * items in the background with a bounded number of concurrent workers.
+ * Finished jobs are kept for a limited time so clients can poll for results.
+ * The queue depth and the memory held by stored results are bounded.
+ */
+
+const crypto = require('crypto');
+const { ErrorCodes } = require('./errorCodes');
+const { buildBatchMeta } = require('./responseFormat');
+
+// Maximum number of items being OCR'd at the same time across all jobs
+const JOB_CONCURRENCY = parseInt(process.env.OCR_JOB_CONCURRENCY, 10) || 4;
+// How long finished jobs (and their results) are kept before expiring
+const JOB_TTL_MS = parseInt(process.env.OCR_JOB_TTL_MS, 10) || 60 * 60 * 1000;
+// How often expired jobs are swept from memory
+const SWEEP_INTERVAL_MS = 60 * 1000;
+// Items waiting to be processed across all jobs; jobs beyond it are refused
+const MAX_QUEUED_ITEMS = parseInt(process.env.OCR_MAX_QUEUED_ITEMS, 10) || 1000;
+// Suggested wait for clients whose job did not fit into the queue
+const QUEUE_RETRY_AFTER_SECONDS = 30;
+// Total size of stored item results; the oldest finished jobs expire early
+// when it is exceeded
+const MAX_RESULT_BYTES = parseInt(process.env.OCR_JOB_MAX_RESULT_BYTES, 10) || 200 * 1024 * 1024;
+
+const jobs = new Map();
+const pendingTasks = [];
+let storedResultBytes = 0;
+let activeWorkers = 0;
+let sweepTimer = null;
+let stopped = false;
+
+function startSweeper() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(() => {
+    const now = Date.now();
+    for (const job of jobs.values()) {
+      if (job.expiresAt && job.expiresAt <= now) {
+        deleteJob(job);
+      }
+    }
+  }, SWEEP_INTERVAL_MS);
+  // Never keep the process alive just for the sweeper
+  sweepTimer.unref();
+}
+
+function deleteJob(job) {
+  jobs.delete(job.id);
+  storedResultBytes -= job.resultBytes;
+}
+
+// Expire finished jobs, oldest first, until the stored results fit
+// MAX_RESULT_BYTES. Results of running jobs are kept.
+function evictResults() {
+  for (const job of jobs.values()) {
+    if (storedResultBytes <= MAX_RESULT_BYTES) return;
+    if (job.state === 'completed') deleteJob(job);
+  }
+}
+
+/**
+ * Seconds a job of `itemCount` items should wait before it is submitted
+ * again, or 0 when the queue has room for it
+ */
+function getQueueRetryAfter(itemCount) {
+  return pendingTasks.length + itemCount > MAX_QUEUED_ITEMS ? QUEUE_RETRY_AFTER_SECONDS : 0;
+}
+
+/**
+ * Create a job from a list of work items and queue it for processing.
+ * Each item is `{ fileName, run }` where `run()` resolves to an OCR result.
+ * `options.owner` identifies the API key the job belongs to (see getJob);
+ * `options.onComplete(job)` is called once every item has finished.
+ */
+function enqueueJob(items, options = {}) {
+  startSweeper();
+
+  const job = {
+    id: crypto.randomUUID(),
+    owner: options.owner || null,
+    state: 'queued',
+    createdAt: Date.now(),
+    startedAt: null,
+    completedAt: null,
+    expiresAt: null,
+    items: items.map((item, index) => ({
+      index,
+      fileName: item.fileName,
+      state: 'queued',
+      run: item.run,
+      result: null,
+      startedAt: null,
+      completedAt: null,
+    })),
+    remaining: items.length,
+    resultBytes: 0,
+    onComplete: options.onComplete || null,
+    callbackDeliveryId: null,
+  };
+
+  jobs.set(job.id, job);
+
+  if (job.items.length === 0) {
+    finishJob(job);
+  } else {
+    job.items.forEach((item) => pendingTasks.push({ job, item }));
+    pump();
+  }
+
+  return job;
+}
+
+function pump() {
+  while (!stopped && activeWorkers < JOB_CONCURRENCY && pendingTasks.length > 0) {
+    const { job, item } = pendingTasks.shift();
+    activeWorkers++;
+    runTask(job, item).finally(() => {
+      activeWorkers--;
+      pump();
+    });
+  }
+}
+
+async function runTask(job, item) {
+  if (job.state === 'queued') {
+    job.state = 'running';
+    job.startedAt = Date.now();
+  }
+  item.state = 'running';
+  item.startedAt = Date.now();
+
+  try {
+    item.result = await item.run();
+  } catch (error) {
+    item.result = {
+      fileName: item.fileName,
+      success: false,
+      error: `OCR processing error: ${error.message}`,
+      errorCode: ErrorCodes.OCR_FAILED,
+      timing: {},
+    };
+  }
+
+  item.completedAt = Date.now();
+  item.state = item.result.success ? 'succeeded' : 'failed';
+  // Release the closure (and the image buffer it holds) as soon as possible
+  item.run = null;
+
+  const resultBytes = Buffer.byteLength(JSON.stringify(item.result));
+  job.resultBytes += resultBytes;
+  storedResultBytes += resultBytes;
+
+  job.remaining--;
+  if (job.remaining === 0) {
+    finishJob(job);
+  }
+  evictResults();
+}
+
+function finishJob(job) {
+  job.state = 'completed';
+  job.completedAt = Date.now();
+  if (!job.startedAt) job.startedAt = job.completedAt;
+  job.expiresAt = job.completedAt + JOB_TTL_MS;
+
+  if (job.onComplete) {
+    try {
+      job.onComplete(job);
+    } catch (error) {
+      // A failing completion hook must not affect the job itself
+    }
+    job.onComplete = null;
+  }
+}
+
+/**
+ * Stop starting queued items, used during shutdown. Items already running
+ * finish normally. Returns the number of items left unprocessed.
+ */
+function stopQueue() {
+  stopped = true;
+  return pendingTasks.length;
+}
+
+/**
+ * The job with `id` if it belongs to `owner`; jobs of other owners are not
+ * found, like expired ones
+ */
+function getJob(id, owner) {
+  const job = jobs.get(id);
+  if (!job || job.owner !== (owner || null)) return null;
+  if (job.expiresAt && job.expiresAt <= Date.now()) {
+    deleteJob(job);
+    return null;
+  }
+  return job;
+}
+
+/**
+ * Public view of a job: state, per-item progress and timing
+ */
+function describeJob(job) {
+  const items = job.items.map((item) => ({
+    index: item.index,
+    fileName: item.fileName,
+    state: item.state,
+    item_duration:
+      item.completedAt && item.startedAt
+        ? (item.completedAt - item.startedAt) / 1000
+        : null,
+  }));
+
+  const succeeded = items.filter((item) => item.state === 'succeeded').length;
+  const failed = items.filter((item) => item.state === 'failed').length;
+
+  return {
+    id: job.id,
+    state: job.state,
+    progress: {
+      total: items.length,
+      completed: succeeded + failed,
+      succeeded,
+      failed,
+    },
+    items,
+    timing: {
+      createdAt: new Date(job.createdAt).toISOString(),
+      startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+      completedAt: job.completedAt
+        ? new Date(job.completedAt).toISOString()
+        : null,
+      queueWaitTime: job.startedAt
+        ? (job.startedAt - job.createdAt) / 1000
+        : null,
+      processingTime:
+        job.completedAt && job.startedAt
+          ? (job.completedAt - job.startedAt) / 1000
+          : null,
+    },
+    expiresAt: job.expiresAt ? new Date(job.expiresAt).toISOString() : null,
+    callbackDeliveryId: job.callbackDeliveryId,
+  };
+}
+
+/**
+ * Results of a completed job in the same `{ meta, results }` envelope the
+ * synchronous batch route returns
+ */
+function getJobResult(job) {
+  const results = job.items.map((item) => item.result);
+  return {
+    meta: {
+      jobId: job.id,
+      ...buildBatchMeta(results, job.startedAt, job.completedAt),
+    },
+    results,
+  };
+}
+
+module.exports = {
+  enqueueJob,
+  getJob,
+  describeJob,
+  getJobResult,
+  getQueueRetryAfter,
+  stopQueue,
+};
@@ -0,0 +1,24 @@
+/**
+ * Application Logger
+ * One winston logger shared by every module, writing to the console,
+ * error.log and combined.log.
+ */
+
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(
+      (info) => `${info.timestamp} ${info.level}: ${info.message}`
+    )
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: "error.log", level: "error" }),
+    new winston.transports.File({ filename: "combined.log" }),
+  ],
+});
+
+module.exports = logger;
@@ -0,0 +1,106 @@
+/**
+ * Prometheus Metrics
+ * Request counts, OCR phase latencies, in-flight OCR calls, per-credential
+ * outcomes, temp doc cleanup failures and result cache lookups, exposed in
+ * text format on /metrics.
+ */
+
+const client = require('prom-client');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequestsTotal = new client.Counter({
+  name: 'ocr_api_http_requests_total',
+  help: 'HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register],
+});
+
+const ocrPhaseDuration = new client.Histogram({
+  name: 'ocr_api_ocr_phase_duration_seconds',
+  help: 'Duration of each performOcr phase',
+  labelNames: ['phase'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 4, 8, 16, 32],
+  registers: [register],
+});
+
+const ocrInFlight = new client.Gauge({
+  name: 'ocr_api_ocr_in_flight',
+  help: 'performOcr calls currently running',
+  registers: [register],
+});
+
+const ocrCredentialResults = new client.Counter({
+  name: 'ocr_api_ocr_results_total',
+  help: 'Finished performOcr calls by credential and outcome',
+  labelNames: ['credential', 'outcome'],
+  registers: [register],
+});
+
+const tempDocCleanupFailures = new client.Counter({
+  name: 'ocr_api_temp_doc_cleanup_failures_total',
+  help: 'Temporary Google Docs that could not be deleted after OCR',
+  registers: [register],
+});
+
+const resultCacheLookups = new client.Counter({
+  name: 'ocr_api_result_cache_lookups_total',
+  help: 'OCR result cache lookups by outcome (hit, shared in-flight call, miss)',
+  labelNames: ['outcome'],
+  registers: [register],
+});
+
+// result.timing keys written by performOcr -> phase label
+const PHASE_TIMING_KEYS = {
+  '1_auth_token': 'auth',
+  '2_upload_to_gdoc': 'upload',
+  '3_export_as_text': 'export',
+  '4_delete_temp_doc': 'delete',
+  total_duration_direct_api: 'total',
+};
+
+/**
+ * Express middleware counting every request once the response is finished.
+ * Routes are labelled by their Express pattern to keep cardinality bounded.
+ */
+function requestMetricsMiddleware(req, res, next) {
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    httpRequestsTotal.inc({ method: req.method, route, status: res.statusCode });
+  });
+  next();
+}
+
+/**
+ * Record a finished performOcr call from its result object
+ */
+function recordOcrResult(result) {
+  for (const [timingKey, phase] of Object.entries(PHASE_TIMING_KEYS)) {
+    if (typeof result.timing[timingKey] === 'number') {
+      ocrPhaseDuration.observe({ phase }, result.timing[timingKey]);
+    }
+  }
+  ocrCredentialResults.inc({
+    credential: result.credentialUsed || 'unknown',
+    outcome: result.success ? 'success' : 'failure',
+  });
+}
+
+function recordCacheLookup(outcome) {
+  resultCacheLookups.inc({ outcome });
+}
+
+async function metricsHandler(req, res) {
+  res.set('Content-Type', register.contentType);
+  res.end(await register.metrics());
+}
+
+module.exports = {
+  requestMetricsMiddleware,
+  recordOcrResult,
+  recordCacheLookup,
+  metricsHandler,
+  ocrInFlight,
+  tempDocCleanupFailures,
+};
@@ -1,26 +1,11 @@
 const { google } = require("googleapis");
 const fs = require("fs").promises;
 const path = require("path");
-const winston = require("winston");
 const { Readable } = require("stream");
 const os = require("os");
 const { LRUCache } = require('lru-cache'); // Import the named export
-
-// Configure logger
-const logger = winston.createLogger({
-  level: "info",
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.printf(
-      (info) => `${info.timestamp} ${info.level}: ${info.message}`
-    )
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: "error.log", level: "error" }),
-    new winston.transports.File({ filename: "combined.log" }),
-  ],
-});
+const { ErrorCodes, classifyUpstreamError } = require("./errorCodes");
+const logger = require("./logger");
 
 // Enhanced connection pooling and caching settings
 const clientPool = [];
@@ -178,7 +163,9 @@ async function getGoogleClient() {
 }
 
 // Main OCR function that processes an image and returns the extracted text - optimized version
-async function performOcr(imageData, originalFileName, mimeType) {
+// options.language: ISO 639-1 hint for Drive's OCR (`ocrLanguage`)
+async function performOcr(imageData, originalFileName, mimeType, options = {}) {
+  const language = options.language || null;
   // Single structure for timing and results like PHP version
   const overallStartTime = Date.now();
   const result = {
@@ -186,10 +173,12 @@ async function performOcr(imageData, originalFileName, mimeType) {
     success: false,
     text: "",
     error: "",
+    errorCode: null,
     timing: {
       "0_start_js_function": 0
     },
     credentialUsed: "unknown",
+    language,
   };
 
   let googleDocId = null;
@@ -215,6 +204,8 @@ async function performOcr(imageData, originalFileName, mimeType) {
       name: safeFileName,
       mimeType: "application/vnd.google-apps.document", // Convert to Google Doc for OCR
     };
+    // Language hint for the conversion; Drive auto-detects without it
+    const ocrParams = language ? { ocrLanguage: language } : {};
 
     // STREAMLINED: Optimized upload directly from binary data like PHP
     // Avoid creating streams when possible - direct upload is faster
@@ -229,7 +220,8 @@ async function performOcr(imageData, originalFileName, mimeType) {
           mimeType: mimeType,
           body: imageData // Direct buffer upload
         },
-        fields: 'id' // Only request ID to minimize response size
+        fields: 'id', // Only request ID to minimize response size
+        ...ocrParams
       });
     } else {
       // Fallback to stream method if not buffer
@@ -243,7 +235,8 @@ async function performOcr(imageData, originalFileName, mimeType) {
           mimeType: mimeType,
           body: bufferStream
         },
-        fields: 'id' // Only request ID to minimize response size
+        fields: 'id', // Only request ID to minimize response size
+        ...ocrParams
       });
     }
 
@@ -293,6 +286,14 @@ async function performOcr(imageData, originalFileName, mimeType) {
     } else {
       result.error = `Processing Error: ${error.message}`;
     }
+
+    if (!googleClient) {
+      result.errorCode = ErrorCodes.UPSTREAM_AUTH;
+    } else if (error.response) {
+      result.errorCode = classifyUpstreamError(error);
+    } else {
+      result.errorCode = ErrorCodes.OCR_FAILED;
+    }
   } finally {
     // Always return the client to the pool for reuse
     if (googleClient && clientPool.length < MAX_POOL_SIZE) {
@@ -321,6 +322,7 @@ async function performOcr(imageData, originalFileName, mimeType) {
     if (deleteErrors.length > 0) {
       if (!result.error) {
         result.error = deleteErrors.join("; ");
+        result.errorCode = ErrorCodes.CLEANUP_FAILED;
       } else {
         result.error += "; Cleanup errors: " + deleteErrors.join("; ");
       }
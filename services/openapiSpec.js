@@ -0,0 +1,918 @@
+/**
+ * OpenAPI 3.1 document for the OCR API
+ * Served at /api/openapi.json and used by openapiValidator.js to validate
+ * requests and responses, so this is the single source of truth for the
+ * request contract. Every OCR route exists on both the original /api/ocr
+ * surface and the /api/v2/ocr surface; the paths for both are generated below.
+ */
+
+const { ErrorCodes } = require('./errorCodes');
+const { OUTPUT_FORMATS } = require('./outputFormats');
+const { ISO_639_1_CODES } = require('./languages');
+const { POSTPROCESS_STEPS } = require('./textPostprocessing');
+const { getEntityTypes } = require('./entityExtraction');
+const { getTemplateNames } = require('./templateExtraction');
+const { getDocumentTypes } = require('./documentClassifier');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const schemas = {
+  ImageItem: {
+    type: 'object',
+    description: 'A single image or PDF to OCR, sent as base64 or fetched from a URL',
+    oneOf: [
+      { required: ['imageBase64', 'originalFileName'] },
+      { required: ['imageUrl'] },
+    ],
+    properties: {
+      imageBase64: {
+        type: 'string',
+        minLength: 1,
+        description: 'A data URL (`data:image/png;base64,...`) or raw base64 data',
+      },
+      imageUrl: {
+        type: 'string',
+        format: 'uri',
+        pattern: '^https?://',
+        description: 'Public http(s) URL the server downloads the image or PDF from',
+      },
+      originalFileName: {
+        type: 'string',
+        minLength: 1,
+        description: 'Defaults to the last path segment of `imageUrl` for URL items',
+      },
+      pages: ref('PageRange'),
+      preprocess: ref('Preprocess'),
+      oversize: ref('OversizeMode'),
+      outputFormat: ref('OutputFormat'),
+      tables: ref('TablesMode'),
+      language: ref('Language'),
+      postprocess: ref('Postprocess'),
+      extract: ref('Extract'),
+      template: ref('TemplateName'),
+      classify: ref('ClassifyMode'),
+      callbackUrl: {
+        type: 'string',
+        format: 'uri',
+        description: 'Webhook notified when processing finishes (single-object bodies only)',
+      },
+    },
+  },
+  Base64Request: {
+    oneOf: [
+      ref('ImageItem'),
+      {
+        type: 'array',
+        minItems: 1,
+        items: ref('ImageItem'),
+        description: 'At most OCR_MAX_BATCH_ITEMS (default 100) items, OCRed OCR_BATCH_CONCURRENCY (default 4) at a time',
+      },
+    ],
+  },
+  MultipartRequest: {
+    type: 'object',
+    required: ['images'],
+    properties: {
+      images: {
+        type: 'array',
+        items: { type: 'string', contentMediaType: 'application/octet-stream' },
+      },
+      callbackUrl: { type: 'string', format: 'uri' },
+      pages: ref('PageRange'),
+      preprocess: ref('Preprocess'),
+      oversize: ref('OversizeMode'),
+      outputFormat: ref('OutputFormat'),
+      tables: ref('TablesMode'),
+      language: ref('Language'),
+      postprocess: ref('Postprocess'),
+      extract: ref('Extract'),
+      template: ref('TemplateName'),
+      classify: ref('ClassifyMode'),
+    },
+  },
+  ExportMultipartRequest: {
+    allOf: [
+      ref('MultipartRequest'),
+      { properties: { images: { maxItems: 1 } } },
+    ],
+  },
+  OutputFormat: {
+    enum: Object.keys(OUTPUT_FORMATS),
+    description:
+      'Format to return the recognized document in, besides the plain `text`. `markdown` is converted from the HTML export. Defaults to `text`.',
+  },
+  DocumentOutput: {
+    type: 'object',
+    description: 'The document in the requested output format (absent for `text`)',
+    required: ['format', 'contentType', 'encoding', 'content'],
+    properties: {
+      format: ref('OutputFormat'),
+      contentType: { type: 'string' },
+      encoding: { enum: ['utf8', 'base64'], description: '`base64` for the binary formats docx, odt and pdf' },
+      content: { type: 'string' },
+    },
+  },
+  Language: {
+    enum: ISO_639_1_CODES,
+    description:
+      'ISO 639-1 code (lowercase) of the document language, passed to Google Drive as the OCR language hint. Drive detects the language when omitted.',
+    examples: ['bn'],
+  },
+  TablesMode: {
+    enum: ['include', 'only'],
+    description:
+      'Extract the tables of the document into `tables`. `only` returns the tables without the text (`text` is empty).',
+  },
+  Table: {
+    type: 'object',
+    required: ['index', 'rowCount', 'columnCount', 'header', 'rows', 'csv'],
+    properties: {
+      index: { type: 'integer', minimum: 0 },
+      pageNumber: { type: 'integer', minimum: 1, description: 'Page of a split document the table is on' },
+      rowCount: { type: 'integer', description: 'Rows including the header row' },
+      columnCount: { type: 'integer' },
+      header: { type: 'array', items: { type: 'string' }, description: 'Cells of the first row' },
+      rows: {
+        type: 'array',
+        items: { type: 'object', additionalProperties: { type: 'string' } },
+        description: 'The other rows, keyed by header cell (`column_N` for empty header cells)',
+      },
+      csv: { type: 'string', description: 'The whole table as RFC 4180 CSV' },
+    },
+  },
+  OversizeMode: {
+    enum: ['reject', 'fit'],
+    description:
+      'Files over the 5MB OCR limit are rejected, or with `fit` downscaled and recompressed until they fit (PDFs: accepted when split server-side; TIFFs: always accepted, their pages are re-encoded). The server default is `reject` unless OCR_OVERSIZE_MODE=fit; only such servers accept inputs over 5MB (up to OCR_MAX_INPUT_BYTES), so `fit` has no effect elsewhere.',
+  },
+  ResizeReport: {
+    type: 'object',
+    description: 'Present when an oversized image was shrunk to fit the OCR limit',
+    properties: {
+      originalWidth: { type: 'integer' },
+      originalHeight: { type: 'integer' },
+      originalBytes: { type: 'integer' },
+      width: { type: 'integer' },
+      height: { type: 'integer' },
+      bytes: { type: 'integer' },
+      quality: { type: 'number', description: 'JPEG quality used' },
+    },
+  },
+  PageRange: {
+    type: 'string',
+    pattern: '^\\s*\\d+(\\s*-\\s*\\d*)?(\\s*,\\s*\\d+(\\s*-\\s*\\d*)?)*\\s*$',
+    description: 'PDF or TIFF pages to OCR, e.g. `1-3,5,8-` (1-based, `8-` means to the last page). Defaults to every page.',
+    examples: ['1-3,5,8-'],
+  },
+  Preprocess: {
+    type: 'object',
+    description:
+      'Image preprocessing before OCR. Steps run in the order crop, rotate, upscale, grayscale, normalizeContrast, binarize.',
+    additionalProperties: false,
+    properties: {
+      crop: {
+        type: 'object',
+        description: 'Keep only this box, in pixels of the original image',
+        required: ['x', 'y', 'width', 'height'],
+        additionalProperties: false,
+        properties: {
+          x: { type: 'integer', minimum: 0 },
+          y: { type: 'integer', minimum: 0 },
+          width: { type: 'integer', minimum: 1 },
+          height: { type: 'integer', minimum: 1 },
+        },
+      },
+      rotate: { enum: [0, 90, 180, 270], description: 'Clockwise rotation in degrees' },
+      upscale: {
+        description: 'Enlarge images whose shorter side is below `minSide` pixels (default 1000), by up to 4x',
+        oneOf: [
+          { type: 'boolean' },
+          {
+            type: 'object',
+            additionalProperties: false,
+            properties: { minSide: { type: 'integer', minimum: 1, maximum: 10000 } },
+          },
+        ],
+      },
+      grayscale: { type: 'boolean' },
+      normalizeContrast: {
+        type: 'boolean',
+        description: 'Stretch the brightness range, ignoring the darkest and brightest 1% of pixels',
+      },
+      binarize: {
+        description: 'Convert to black and white, with an automatic (Otsu) or fixed threshold',
+        oneOf: [
+          { type: 'boolean' },
+          {
+            type: 'object',
+            additionalProperties: false,
+            properties: { threshold: { type: 'integer', minimum: 0, maximum: 255 } },
+          },
+        ],
+      },
+    },
+  },
+  Postprocess: {
+    type: 'object',
+    description: `Text cleanup after OCR. Enabled steps run in the order ${POSTPROCESS_STEPS.join(', ')}; \`text\` then holds the cleaned text and \`rawText\` the export.`,
+    additionalProperties: false,
+    properties: Object.fromEntries(POSTPROCESS_STEPS.map((step) => [step, { type: 'boolean' }])),
+  },
+  Extract: {
+    oneOf: [
+      { type: 'boolean' },
+      { type: 'array', minItems: 1, uniqueItems: true, items: { enum: getEntityTypes() } },
+    ],
+    description:
+      'Find entities in the returned text: `true` for every type, or a list of types. Custom types are the named patterns configured on the server.',
+    examples: [['email', 'date', 'amount']],
+  },
+  Entity: {
+    type: 'object',
+    required: ['type', 'value', 'normalized', 'start', 'end'],
+    properties: {
+      type: { enum: getEntityTypes() },
+      value: { type: 'string', description: 'The matched text' },
+      normalized: {
+        type: 'string',
+        description:
+          'Lowercased email, URL with scheme, phone digits (with + when international), ISO 8601 date, amount with a decimal point, compact IBAN',
+      },
+      currency: { type: 'string', description: 'ISO 4217 code (amounts only)' },
+      start: { type: 'integer', minimum: 0, description: 'Offset of the first character in `text`' },
+      end: { type: 'integer', minimum: 0, description: 'Offset after the last character in `text`' },
+    },
+  },
+  TemplateName: {
+    // No template can be selected when the server has none
+    ...(getTemplateNames().length > 0 ? { enum: getTemplateNames() } : { not: {} }),
+    description: 'Extraction template to read structured fields from the text with, e.g. `invoice` or `receipt`',
+  },
+  Extraction: {
+    type: 'object',
+    required: ['template', 'fields', 'missingRequired'],
+    properties: {
+      template: ref('TemplateName'),
+      fields: {
+        type: 'object',
+        additionalProperties: { oneOf: [ref('ExtractedField'), { type: 'null' }] },
+        description: 'Every field of the template; null when it was not found',
+      },
+      missingRequired: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Required fields that were not found',
+      },
+    },
+  },
+  ExtractedField: {
+    type: 'object',
+    required: ['value', 'text', 'confidence', 'anchor', 'start', 'end'],
+    properties: {
+      value: {
+        type: ['string', 'number'],
+        description: 'Converted to the field type: numbers for number and amount fields, ISO 8601 for dates',
+      },
+      text: { type: 'string', description: 'The matched text' },
+      confidence: {
+        enum: ['high', 'medium', 'low'],
+        description: '`high`: on the anchor line, `medium`: on the line after the anchor, `low`: found without an anchor',
+      },
+      anchor: { type: ['string', 'null'], description: 'The anchor the value was found after' },
+      currency: { type: ['string', 'null'], description: 'ISO 4217 code (amount fields only)' },
+      start: { type: 'integer', minimum: 0 },
+      end: { type: 'integer', minimum: 0 },
+    },
+  },
+  ClassifyMode: {
+    enum: ['include', 'only'],
+    description:
+      'Classify the document by its text into `documentType`. `only` returns the classification without the document content: `text`, `rawText`, `output`, `tables`, `entities` and `extraction` are left out, also from `pages`.',
+  },
+  DocumentType: {
+    enum: [...getDocumentTypes(), null],
+    description: 'Best scoring document type, null when no type reaches `minScore`',
+  },
+  Classification: {
+    type: 'object',
+    required: ['minScore', 'scores'],
+    properties: {
+      minScore: { type: 'number', description: 'Score a type needs to be returned as `documentType`' },
+      scores: {
+        type: 'array',
+        description: 'Every document type with its score, best first',
+        items: {
+          type: 'object',
+          required: ['type', 'score', 'matches'],
+          properties: {
+            type: { type: 'string' },
+            score: { type: 'number' },
+            matches: {
+              type: 'array',
+              description: 'The rules that matched, each adding its weight',
+              items: {
+                type: 'object',
+                required: ['weight'],
+                properties: {
+                  keyword: { type: 'string' },
+                  pattern: { type: 'string' },
+                  weight: { type: 'number' },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+  PostprocessReport: {
+    type: 'object',
+    description: 'Postprocessing steps that changed the text',
+    properties: {
+      applied: { type: 'array', items: { enum: POSTPROCESS_STEPS } },
+    },
+  },
+  PreprocessReport: {
+    type: 'object',
+    description: 'Preprocessing steps that changed the image, with their parameters',
+    properties: {
+      applied: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['step'],
+          properties: { step: { type: 'string' } },
+        },
+      },
+      originalWidth: { type: 'integer' },
+      originalHeight: { type: 'integer' },
+      width: { type: 'integer' },
+      height: { type: 'integer' },
+    },
+  },
+  PageResult: {
+    type: 'object',
+    required: ['pageNumber', 'success'],
+    properties: {
+      pageNumber: { type: 'integer', minimum: 1 },
+      success: { type: 'boolean' },
+      text: { type: 'string' },
+      error: { type: 'string' },
+      errorCode: { oneOf: [ref('ErrorCode'), { type: 'null' }] },
+      timing: ref('Timing'),
+      preprocessing: ref('PreprocessReport'),
+      rawText: { type: 'string', description: 'The exported text before postprocessing' },
+      postprocessing: ref('PostprocessReport'),
+      entities: { type: 'array', items: ref('Entity'), description: 'Entities found in `text` (with `extract`)' },
+      output: ref('DocumentOutput'),
+      tables: { type: 'array', items: ref('Table') },
+    },
+  },
+  PageResultV2: {
+    type: 'object',
+    required: ['pageNumber', 'success', 'error'],
+    properties: {
+      pageNumber: { type: 'integer', minimum: 1 },
+      success: { type: 'boolean' },
+      text: { type: 'string' },
+      error: { oneOf: [ref('ErrorDetail'), { type: 'null' }] },
+      timing: ref('Timing'),
+      preprocessing: ref('PreprocessReport'),
+      rawText: { type: 'string', description: 'The exported text before postprocessing' },
+      postprocessing: ref('PostprocessReport'),
+      entities: { type: 'array', items: ref('Entity'), description: 'Entities found in `text` (with `extract`)' },
+      output: ref('DocumentOutput'),
+      tables: { type: 'array', items: ref('Table') },
+    },
+  },
+  Timing: {
+    type: 'object',
+    description: 'Phase durations in seconds',
+    additionalProperties: { type: 'number' },
+  },
+  ErrorCode: {
+    type: 'string',
+    enum: Object.values(ErrorCodes),
+  },
+  OcrResult: {
+    type: 'object',
+    required: ['fileName', 'success'],
+    properties: {
+      fileName: { type: 'string' },
+      success: { type: 'boolean' },
+      text: { type: 'string' },
+      error: { type: 'string' },
+      errorCode: { oneOf: [ref('ErrorCode'), { type: 'null' }] },
+      timing: ref('Timing'),
+      credentialUsed: { type: 'string' },
+      cacheHit: {
+        type: 'boolean',
+        description: 'True when the result was served from the result cache or shared with an identical item',
+      },
+      preprocessing: ref('PreprocessReport'),
+      rawText: { type: 'string', description: 'The exported text before postprocessing' },
+      postprocessing: ref('PostprocessReport'),
+      entities: { type: 'array', items: ref('Entity'), description: 'Entities found in `text` (with `extract`)' },
+      extraction: ref('Extraction'),
+      documentType: ref('DocumentType'),
+      classification: ref('Classification'),
+      resized: ref('ResizeReport'),
+      declaredType: {
+        type: ['string', 'null'],
+        description: 'MIME type from the data URL, upload or URL response; null for raw base64',
+      },
+      detectedType: { type: 'string', description: 'MIME type detected from the file signature' },
+      language: {
+        type: ['string', 'null'],
+        description: 'The requested OCR language hint, null when Drive detected the language',
+      },
+      pageCount: { type: 'integer', description: 'Pages in the document (split PDFs and TIFFs only)' },
+      pages: {
+        type: 'array',
+        items: ref('PageResult'),
+        description: 'Per-page results of a PDF or TIFF split server-side; `text` holds the merged text',
+      },
+      output: {
+        ...ref('DocumentOutput'),
+        description: 'For split documents only when the format can be merged (markdown) or one page was OCRed',
+      },
+      tables: {
+        type: 'array',
+        items: ref('Table'),
+        description: 'Tables found in the document, when requested with `tables`',
+      },
+    },
+  },
+  OcrResultV2: {
+    type: 'object',
+    required: ['fileName', 'success', 'error'],
+    properties: {
+      fileName: { type: 'string' },
+      success: { type: 'boolean' },
+      text: { type: 'string' },
+      error: { oneOf: [ref('ErrorDetail'), { type: 'null' }] },
+      timing: ref('Timing'),
+      credentialUsed: { type: 'string' },
+      cacheHit: {
+        type: 'boolean',
+        description: 'True when the result was served from the result cache or shared with an identical item',
+      },
+      preprocessing: ref('PreprocessReport'),
+      rawText: { type: 'string', description: 'The exported text before postprocessing' },
+      postprocessing: ref('PostprocessReport'),
+      entities: { type: 'array', items: ref('Entity'), description: 'Entities found in `text` (with `extract`)' },
+      extraction: ref('Extraction'),
+      documentType: ref('DocumentType'),
+      classification: ref('Classification'),
+      resized: ref('ResizeReport'),
+      declaredType: {
+        type: ['string', 'null'],
+        description: 'MIME type from the data URL, upload or URL response; null for raw base64',
+      },
+      detectedType: { type: 'string', description: 'MIME type detected from the file signature' },
+      language: {
+        type: ['string', 'null'],
+        description: 'The requested OCR language hint, null when Drive detected the language',
+      },
+      pageCount: { type: 'integer', description: 'Pages in the document (split PDFs and TIFFs only)' },
+      pages: {
+        type: 'array',
+        items: ref('PageResultV2'),
+        description: 'Per-page results of a PDF or TIFF split server-side; `text` holds the merged text',
+      },
+      output: {
+        ...ref('DocumentOutput'),
+        description: 'For split documents only when the format can be merged (markdown) or one page was OCRed',
+      },
+      tables: {
+        type: 'array',
+        items: ref('Table'),
+        description: 'Tables found in the document, when requested with `tables`',
+      },
+    },
+  },
+  BatchMeta: {
+    type: 'object',
+    required: ['batchProcessingTime', 'processedCount'],
+    properties: {
+      batchProcessingTime: { type: 'number' },
+      processedCount: { type: 'integer' },
+      succeededCount: { type: 'integer' },
+      failedCount: { type: 'integer' },
+      jobId: { type: 'string' },
+      callbackDeliveryId: { type: 'string' },
+    },
+  },
+  BatchResponse: {
+    type: 'object',
+    required: ['meta', 'results'],
+    properties: {
+      meta: ref('BatchMeta'),
+      results: { type: 'array', items: ref('OcrResult') },
+    },
+  },
+  ErrorResponse: {
+    type: 'array',
+    description: 'Original error format: a single failed result',
+    items: {
+      type: 'object',
+      required: ['fileName', 'success', 'error'],
+      properties: {
+        fileName: { type: 'string' },
+        success: { const: false },
+        error: { type: 'string' },
+      },
+    },
+  },
+  ErrorDetail: {
+    type: 'object',
+    required: ['code', 'message'],
+    properties: {
+      code: ref('ErrorCode'),
+      message: { type: 'string' },
+      details: { type: 'array', items: { type: 'string' } },
+    },
+  },
+  Envelope: {
+    type: 'object',
+    required: ['apiVersion', 'success', 'data', 'error', 'meta'],
+    properties: {
+      apiVersion: { const: '2' },
+      success: { type: 'boolean' },
+      data: {},
+      error: { oneOf: [ref('ErrorDetail'), { type: 'null' }] },
+      meta: {},
+    },
+  },
+  BatchEnvelope: {
+    allOf: [
+      ref('Envelope'),
+      {
+        properties: {
+          data: {
+            type: 'object',
+            required: ['results'],
+            properties: {
+              results: { type: 'array', items: ref('OcrResultV2') },
+            },
+          },
+          meta: ref('BatchMeta'),
+        },
+      },
+    ],
+  },
+  ErrorEnvelope: {
+    allOf: [
+      ref('Envelope'),
+      {
+        properties: {
+          success: { const: false },
+          data: { type: 'null' },
+          error: ref('ErrorDetail'),
+        },
+      },
+    ],
+  },
+  JobStatus: {
+    type: 'object',
+    required: ['id', 'state', 'progress', 'items', 'timing'],
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      state: { type: 'string', enum: ['queued', 'running', 'completed'] },
+      progress: {
+        type: 'object',
+        properties: {
+          total: { type: 'integer' },
+          completed: { type: 'integer' },
+          succeeded: { type: 'integer' },
+          failed: { type: 'integer' },
+        },
+      },
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            index: { type: 'integer' },
+            fileName: { type: 'string' },
+            state: { type: 'string', enum: ['queued', 'running', 'succeeded', 'failed'] },
+            item_duration: { type: ['number', 'null'] },
+          },
+        },
+      },
+      timing: { type: 'object' },
+      expiresAt: { type: ['string', 'null'] },
+      callbackDeliveryId: { type: ['string', 'null'] },
+    },
+  },
+  Usage: {
+    type: 'object',
+    required: ['name', 'tier', 'limits', 'usage'],
+    properties: {
+      name: { type: 'string' },
+      tier: { type: 'string' },
+      limits: { type: 'object', additionalProperties: { type: 'integer' } },
+      usage: { type: 'object' },
+    },
+  },
+  Delivery: {
+    type: 'object',
+    required: ['id', 'url', 'event', 'state', 'attempts'],
+    properties: {
+      id: { type: 'string' },
+      url: { type: 'string' },
+      event: { type: 'string' },
+      state: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+      createdAt: { type: 'string' },
+      deliveredAt: { type: ['string', 'null'] },
+      attempts: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            attempt: { type: 'integer' },
+            at: { type: 'string' },
+            statusCode: { type: ['integer', 'null'] },
+            error: { type: ['string', 'null'] },
+            duration: { type: 'number' },
+          },
+        },
+      },
+    },
+  },
+};
+
+const callbackUrlQuery = {
+  name: 'callbackUrl',
+  in: 'query',
+  required: false,
+  schema: { type: 'string', format: 'uri' },
+  description: 'Webhook notified with the results when processing finishes',
+};
+
+const cacheControlHeader = {
+  name: 'Cache-Control',
+  in: 'header',
+  required: false,
+  schema: { type: 'string' },
+  description:
+    '`no-cache` skips the OCR result cache lookup; `no-store` also keeps the new results out of the cache',
+};
+
+const idempotencyKeyHeader = {
+  name: 'Idempotency-Key',
+  in: 'header',
+  required: false,
+  schema: { type: 'string', minLength: 1, maxLength: 255 },
+  description:
+    'Repeating a request with the same key and body replays the first response instead of processing it again',
+};
+
+const idPath = (description) => ({
+  name: 'id',
+  in: 'path',
+  required: true,
+  schema: { type: 'string', format: 'uuid' },
+  description,
+});
+
+// Base64 batches are validated item by item so one bad item does not fail the batch
+const base64Body = {
+  schema: ref('Base64Request'),
+  'x-validate-items-individually': true,
+};
+
+// Object-valued form fields are sent as JSON strings
+const multipartBody = {
+  schema: ref('MultipartRequest'),
+  encoding: {
+    preprocess: { contentType: 'application/json' },
+    postprocess: { contentType: 'application/json' },
+    extract: { contentType: 'application/json' },
+  },
+};
+
+/**
+ * Build the operations of one API surface
+ */
+function ocrPaths(prefix, v2) {
+  const suffix = v2 ? 'V2' : '';
+  const tag = v2 ? 'OCR v2' : 'OCR';
+  const json = (schema) => ({ 'application/json': { schema: ref(schema) } });
+  const data = (schema) =>
+    v2
+      ? { 'application/json': { schema: { allOf: [ref('Envelope'), { properties: { data: ref(schema) } }] } } }
+      : json(schema);
+  const batch = v2 ? json('BatchEnvelope') : json('BatchResponse');
+  const error = (description) => ({
+    description,
+    content: v2 ? json('ErrorEnvelope') : json('ErrorResponse'),
+  });
+
+  return {
+    [`${prefix}/base64`]: {
+      post: {
+        operationId: `ocrBase64${suffix}`,
+        tags: [tag],
+        summary: 'OCR one or more base64 encoded images',
+        description:
+          'Send `Accept: application/x-ndjson` or `Accept: text/event-stream` to receive each result as soon as it is ready.',
+        parameters: [callbackUrlQuery, cacheControlHeader, idempotencyKeyHeader],
+        requestBody: { required: true, content: { 'application/json': base64Body } },
+        responses: {
+          200: { description: 'Batch processed', content: batch },
+          400: error('Invalid request'),
+          401: error('Missing or unknown API key'),
+          413: error('Request body too large'),
+          422: error('Idempotency-Key reused with a different request'),
+          429: error('Quota exceeded'),
+          500: error('Server error'),
+        },
+      },
+    },
+    [`${prefix}/upload`]: {
+      post: {
+        operationId: `ocrUpload${suffix}`,
+        tags: [tag],
+        summary: 'OCR uploaded image and PDF files',
+        parameters: [callbackUrlQuery, cacheControlHeader, idempotencyKeyHeader],
+        requestBody: {
+          required: true,
+          content: { 'multipart/form-data': multipartBody },
+        },
+        responses: {
+          200: { description: 'Batch processed', content: batch },
+          400: error('Invalid request'),
+          401: error('Missing or unknown API key'),
+          422: error('Idempotency-Key reused with a different request'),
+          429: error('Quota exceeded'),
+          500: error('Server error'),
+        },
+      },
+    },
+    [`${prefix}/export`]: {
+      post: {
+        operationId: `exportDocument${suffix}`,
+        tags: [tag],
+        summary: 'OCR one document and download it in its output format',
+        description:
+          'Responds with the file itself (`Content-Disposition: attachment`) in the item\'s `outputFormat`; errors are JSON.',
+        parameters: [cacheControlHeader, idempotencyKeyHeader],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': { schema: ref('ImageItem') },
+            'multipart/form-data': { ...multipartBody, schema: ref('ExportMultipartRequest') },
+          },
+        },
+        responses: {
+          200: {
+            description: 'The document',
+            content: Object.fromEntries(
+              Object.values(OUTPUT_FORMATS).map(({ contentType }) => [
+                contentType.split(';')[0],
+                { schema: { type: 'string', contentMediaType: contentType.split(';')[0] } },
+              ])
+            ),
+          },
+          400: error('Invalid request'),
+          401: error('Missing or unknown API key'),
+          413: error('Request body too large'),
+          422: error('The document could not be OCRed or exported in this format, or Idempotency-Key reused with a different request'),
+          429: error('Quota exceeded'),
+          500: error('Server error'),
+          502: error('Google Drive failed'),
+        },
+      },
+    },
+    [`${prefix}/jobs`]: {
+      post: {
+        operationId: `createJob${suffix}`,
+        tags: [tag],
+        summary: 'Queue an asynchronous OCR job',
+        parameters: [callbackUrlQuery, cacheControlHeader, idempotencyKeyHeader],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': base64Body,
+            'multipart/form-data': multipartBody,
+          },
+        },
+        responses: {
+          202: { description: 'Job queued', content: data('JobStatus') },
+          400: error('Invalid request'),
+          401: error('Missing or unknown API key'),
+          422: error('Idempotency-Key reused with a different request'),
+          429: error('Quota exceeded'),
+          503: error('Job queue full (see Retry-After) or server shutting down'),
+        },
+      },
+    },
+    [`${prefix}/jobs/{id}`]: {
+      get: {
+        operationId: `getJob${suffix}`,
+        tags: [tag],
+        summary: 'Job state, per-item progress and timing',
+        parameters: [idPath('Job id')],
+        responses: {
+          200: { description: 'Job status', content: data('JobStatus') },
+          400: error('Invalid job id'),
+          404: error('Job not found or expired'),
+        },
+      },
+    },
+    [`${prefix}/jobs/{id}/result`]: {
+      get: {
+        operationId: `getJobResult${suffix}`,
+        tags: [tag],
+        summary: 'Results of a completed job',
+        parameters: [idPath('Job id')],
+        responses: {
+          200: { description: 'Job results', content: batch },
+          202: { description: 'Job still running', content: data('JobStatus') },
+          400: error('Invalid job id'),
+          404: error('Job not found or expired'),
+        },
+      },
+    },
+    [`${prefix}/usage`]: {
+      get: {
+        operationId: `getUsage${suffix}`,
+        tags: [tag],
+        summary: 'Quotas and usage counters of the calling API key',
+        responses: {
+          200: { description: 'Usage', content: data('Usage') },
+          401: error('Missing or unknown API key'),
+          404: error('API keys are not enabled'),
+        },
+      },
+    },
+    [`${prefix}/deliveries/{id}`]: {
+      get: {
+        operationId: `getDelivery${suffix}`,
+        tags: [tag],
+        summary: 'Webhook delivery state and attempts',
+        parameters: [idPath('Delivery id')],
+        responses: {
+          200: { description: 'Delivery', content: data('Delivery') },
+          400: error('Invalid delivery id'),
+          404: error('Delivery not found or expired'),
+        },
+      },
+    },
+  };
+}
+
+const spec = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Node.js OCR API',
+    version: '2.0.0',
+    description:
+      'OCR for images and PDFs using Google Drive. `/api/ocr/*` keeps the original response shapes; `/api/v2/ocr/*` wraps every response in a common envelope with machine-readable error codes.',
+  },
+  servers: [{ url: '/' }],
+  components: {
+    schemas,
+    securitySchemes: {
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+    },
+  },
+  security: [{ apiKey: [] }],
+  paths: {
+    '/health': {
+      get: {
+        operationId: 'health',
+        tags: ['Monitoring'],
+        summary: 'Liveness check',
+        security: [],
+        responses: { 200: { description: 'Process is up' } },
+      },
+    },
+    '/ready': {
+      get: {
+        operationId: 'ready',
+        tags: ['Monitoring'],
+        summary: 'Readiness: at least one Google credential can mint a token',
+        security: [],
+        responses: {
+          200: { description: 'Ready to OCR' },
+          503: { description: 'No credential can mint a token, or the server is shutting down' },
+        },
+      },
+    },
+    '/metrics': {
+      get: {
+        operationId: 'metrics',
+        tags: ['Monitoring'],
+        summary: 'Prometheus metrics in text exposition format',
+        security: [],
+        responses: { 200: { description: 'Metrics', content: { 'text/plain': {} } } },
+      },
+    },
+    ...ocrPaths('/api/ocr', false),
+    ...ocrPaths('/api/v2/ocr', true),
+  },
+};
+
+module.exports = spec;
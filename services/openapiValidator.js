@@ -0,0 +1,224 @@
+/**
+ * OpenAPI Request and Response Validation
+ * Looks up the operation for the matched Express route in openapiSpec.js and
+ * validates path parameters, query parameters and the request body against
+ * it. Responses sent with res.json are validated too and mismatches are
+ * logged, so drift between the code and the published contract shows up early.
+ */
+
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const spec = require('./openapiSpec');
+const { ErrorCodes } = require('./errorCodes');
+const { sendError } = require('./responseFormat');
+const logger = require('./logger');
+
+const SPEC_ID = 'openapi.json';
+// Response validation costs CPU on every request, so it is opt-out in production
+const VALIDATE_RESPONSES = process.env.OPENAPI_VALIDATE_RESPONSES
+  ? process.env.OPENAPI_VALIDATE_RESPONSES === 'true'
+  : process.env.NODE_ENV !== 'production';
+
+const ajv = new Ajv2020({ allErrors: true, strict: false });
+addFormats(ajv);
+ajv.addSchema(spec, SPEC_ID);
+
+// JSON pointer escaping (RFC 6901)
+const escapePointer = (segment) =>
+  String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+
+// Compile the schema found at a JSON pointer inside the spec
+function compileAt(...segments) {
+  const pointer = segments.map(escapePointer).join('/');
+  return ajv.compile({ $ref: `${SPEC_ID}#/${pointer}` });
+}
+
+// "METHOD /path/{param}" -> compiled validators, built lazily
+const operationCache = new Map();
+
+function compileOperation(pathTemplate, method) {
+  const operation = spec.paths[pathTemplate] && spec.paths[pathTemplate][method];
+  if (!operation) return null;
+
+  const compiled = {
+    operationId: operation.operationId,
+    parameters: {},
+    body: {},
+    responses: {},
+  };
+
+  // Group parameters by location into one object schema each
+  for (const location of ['path', 'query']) {
+    const params = (operation.parameters || [])
+      .map((param, index) => ({ param, index }))
+      .filter(({ param }) => param.in === location);
+    if (params.length === 0) continue;
+
+    const properties = {};
+    for (const { param, index } of params) {
+      properties[param.name] = {
+        $ref: `${SPEC_ID}#/paths/${escapePointer(pathTemplate)}/${method}/parameters/${index}/schema`,
+      };
+    }
+    compiled.parameters[location] = ajv.compile({
+      type: 'object',
+      properties,
+      required: params.filter(({ param }) => param.required).map(({ param }) => param.name),
+    });
+  }
+
+  if (operation.requestBody) {
+    for (const [mediaType, media] of Object.entries(operation.requestBody.content)) {
+      compiled.body[mediaType] = {
+        validate: compileAt('paths', pathTemplate, method, 'requestBody', 'content', mediaType, 'schema'),
+        itemsIndividually: Boolean(media['x-validate-items-individually']),
+        // Multipart fields whose encoding says they carry JSON
+        jsonFields: Object.entries(media.encoding || {})
+          .filter(([, encoding]) => encoding.contentType === 'application/json')
+          .map(([field]) => field),
+      };
+    }
+  }
+
+  for (const [status, response] of Object.entries(operation.responses)) {
+    if (response.content && response.content['application/json']) {
+      compiled.responses[status] = compileAt(
+        'paths', pathTemplate, method, 'responses', status, 'content', 'application/json', 'schema'
+      );
+    }
+  }
+
+  return compiled;
+}
+
+function getOperation(req) {
+  // Express route "/jobs/:id" mounted at "/api/ocr" -> "/api/ocr/jobs/{id}"
+  const pathTemplate = (req.baseUrl + req.route.path).replace(/:(\w+)/g, '{$1}');
+  const method = req.method.toLowerCase();
+  const key = `${method} ${pathTemplate}`;
+  if (!operationCache.has(key)) {
+    operationCache.set(key, compileOperation(pathTemplate, method));
+  }
+  return operationCache.get(key);
+}
+
+function formatErrors(errors, location) {
+  return (errors || []).map((error) => {
+    const field = `${location}${error.instancePath.replace(/\//g, '.')}`;
+    return `${field} ${error.message}`;
+  });
+}
+
+function validateBody(req, operation) {
+  if (!operation.body || Object.keys(operation.body).length === 0) return [];
+
+  const mediaType = Object.keys(operation.body).find((type) => req.is(type));
+  if (!mediaType) {
+    return [`body must be one of: ${Object.keys(operation.body).join(', ')}`];
+  }
+
+  const { validate, itemsIndividually, jsonFields } = operation.body[mediaType];
+
+  if (mediaType === 'multipart/form-data') {
+    // Parse JSON-encoded fields in place so route handlers receive objects
+    for (const field of jsonFields) {
+      if (typeof req.body[field] !== 'string') continue;
+      try {
+        req.body[field] = JSON.parse(req.body[field]);
+      } catch (error) {
+        return [`body.${field} must be valid JSON`];
+      }
+    }
+    // Files are parsed by multer; validate them together with the text fields
+    const body = { ...req.body, images: (req.files || []).map((file) => file.originalname) };
+    return validate(body) ? [] : formatErrors(validate.errors, 'body');
+  }
+
+  if (itemsIndividually) {
+    // Only the shape is checked here; each item is validated by validateImageItem
+    const body = req.body;
+    if (body === null || typeof body !== 'object') {
+      return ['body must be an object or an array of objects'];
+    }
+    return [];
+  }
+
+  return validate(req.body) ? [] : formatErrors(validate.errors, 'body');
+}
+
+/**
+ * Route middleware: validate the request against its OpenAPI operation and,
+ * when enabled, check every JSON response against the documented schema.
+ */
+function validateWithOpenApi(req, res, next) {
+  const operation = getOperation(req);
+  if (!operation) {
+    logger.warn(`No OpenAPI operation documented for ${req.method} ${req.baseUrl}${req.route.path}`);
+    return next();
+  }
+
+  const problems = [];
+  if (operation.parameters.path && !operation.parameters.path(req.params)) {
+    problems.push(...formatErrors(operation.parameters.path.errors, 'path'));
+  }
+  if (operation.parameters.query && !operation.parameters.query(req.query)) {
+    problems.push(...formatErrors(operation.parameters.query.errors, 'query'));
+  }
+  problems.push(...validateBody(req, operation));
+
+  if (problems.length > 0) {
+    return sendError(
+      req,
+      res,
+      400,
+      ErrorCodes.VALIDATION_ERROR,
+      `Request validation failed: ${problems.join('; ')}`,
+      { details: problems }
+    );
+  }
+
+  if (VALIDATE_RESPONSES) {
+    const json = res.json.bind(res);
+    res.json = (payload) => {
+      const validate = operation.responses[res.statusCode];
+      if (validate && !validate(payload)) {
+        logger.warn(
+          `Response for ${operation.operationId} (${res.statusCode}) does not match the OpenAPI spec: ${formatErrors(validate.errors, 'response').join('; ')}`
+        );
+      } else if (!validate) {
+        logger.warn(`Undocumented ${res.statusCode} response for ${operation.operationId}`);
+      }
+      return json(payload);
+    };
+  }
+
+  next();
+}
+
+const validateImageItemSchema = compileAt('components', 'schemas', 'ImageItem');
+
+/**
+ * Validate a single base64 item against the ImageItem schema.
+ * Returns null when valid, or `{ errorCode, error }`.
+ */
+function validateImageItem(imageItem) {
+  if (validateImageItemSchema(imageItem)) return null;
+
+  const errors = validateImageItemSchema.errors;
+  if (errors.some((error) => error.keyword === 'required' || error.keyword === 'minLength')) {
+    return {
+      errorCode: ErrorCodes.MISSING_FIELDS,
+      error: 'Missing required fields: imageBase64 and originalFileName, or imageUrl.',
+    };
+  }
+  return {
+    errorCode: ErrorCodes.VALIDATION_ERROR,
+    error: `Invalid item: ${formatErrors(errors, 'item').join('; ')}`,
+  };
+}
+
+module.exports = {
+  validateWithOpenApi,
+  validateImageItem,
+  spec,
+};
@@ -0,0 +1,155 @@
+/**
+ * Output Formats
+ * The formats the OCRed Google Doc can be returned in besides plain text.
+ * Each maps to a Drive export MIME type; Markdown is converted from the HTML
+ * export. Text formats are returned as UTF-8 strings, binary formats base64
+ * encoded, in the result's `output` field.
+ */
+
+const TurndownService = require('turndown');
+
+const OUTPUT_FORMATS = {
+  text: { exportMimeType: 'text/plain', contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+  html: { exportMimeType: 'text/html', contentType: 'text/html; charset=utf-8', extension: 'html' },
+  markdown: {
+    exportMimeType: 'text/html',
+    contentType: 'text/markdown; charset=utf-8',
+    extension: 'md',
+    convert: (html) => htmlToMarkdown(html),
+  },
+  docx: {
+    exportMimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extension: 'docx',
+    binary: true,
+  },
+  odt: {
+    exportMimeType: 'application/vnd.oasis.opendocument.text',
+    contentType: 'application/vnd.oasis.opendocument.text',
+    extension: 'odt',
+    binary: true,
+  },
+  rtf: { exportMimeType: 'application/rtf', contentType: 'application/rtf', extension: 'rtf' },
+  pdf: { exportMimeType: 'application/pdf', contentType: 'application/pdf', extension: 'pdf', binary: true },
+};
+
+const DEFAULT_OUTPUT_FORMAT = 'text';
+
+// Separates page outputs in the merged output of a split document
+const PAGE_SEPARATOR = '\n\n';
+
+// Google Docs exports bold and italic text as spans with generated classes
+// defined in a <style> block, e.g. `.c3{font-weight:700}`
+function styledClasses(html, property, values) {
+  const classes = new Set();
+  const rule = /\.([\w-]+)\s*\{([^}]*)\}/g;
+  let match;
+  while ((match = rule.exec(html)) !== null) {
+    const declaration = match[2].match(new RegExp(`${property}\\s*:\\s*([\\w]+)`));
+    if (declaration && values.includes(declaration[1])) classes.add(match[1]);
+  }
+  return classes;
+}
+
+const hasClass = (node, classes) =>
+  String(node.getAttribute('class') || '').split(/\s+/).some((name) => classes.has(name));
+
+const tableCell = (content) => ` ${content.replace(/\s*\n+\s*/g, ' ').trim().replace(/\|/g, '\\|')} |`;
+
+/**
+ * Convert a Google Docs HTML export to Markdown: headings, paragraphs, lists,
+ * links, bold and italic text, and tables (the first row becomes the header).
+ */
+function htmlToMarkdown(html) {
+  const boldClasses = styledClasses(html, 'font-weight', ['bold', '600', '700', '800', '900']);
+  const italicClasses = styledClasses(html, 'font-style', ['italic']);
+
+  const turndown = new TurndownService({
+    headingStyle: 'atx',
+    bulletListMarker: '-',
+    codeBlockStyle: 'fenced',
+  });
+  turndown.remove(['head', 'style', 'script', 'title']);
+
+  turndown.addRule('styledSpan', {
+    filter: (node) => node.nodeName === 'SPAN' && (hasClass(node, boldClasses) || hasClass(node, italicClasses)),
+    replacement: (content, node) => {
+      if (!content.trim()) return content;
+      let marked = content.trim();
+      if (hasClass(node, italicClasses)) marked = `_${marked}_`;
+      if (hasClass(node, boldClasses)) marked = `**${marked}**`;
+      // Keep the surrounding whitespace outside the markers
+      return content.match(/^\s*/)[0] + marked + content.match(/\s*$/)[0];
+    },
+  });
+  turndown.addRule('tableCell', {
+    filter: ['th', 'td'],
+    replacement: (content) => tableCell(content),
+  });
+  turndown.addRule('tableRow', {
+    filter: 'tr',
+    replacement: (content, node) => {
+      const row = `\n|${content}`;
+      const table = node.closest('table');
+      if (!table || table.querySelector('tr') !== node) return row;
+      const separator = Array.from(node.children, () => ' --- |').join('');
+      return `${row}\n|${separator}`;
+    },
+  });
+  turndown.addRule('table', {
+    filter: 'table',
+    replacement: (content) => `\n\n${content.trim()}\n\n`,
+  });
+
+  return turndown.turndown(html).trim();
+}
+
+/**
+ * The format definition for an `outputFormat` option (text by default)
+ */
+function getOutputFormat(name) {
+  return OUTPUT_FORMATS[name || DEFAULT_OUTPUT_FORMAT];
+}
+
+/**
+ * Build a result's `output` from the exported bytes:
+ * `{ format, contentType, encoding: 'utf8' | 'base64', content }`
+ */
+function buildOutput(name, data) {
+  const format = getOutputFormat(name);
+  let content;
+  if (format.binary) {
+    content = data.toString('base64');
+  } else {
+    content = data.toString('utf8');
+    if (format.convert) content = format.convert(content);
+  }
+  return {
+    format: name,
+    contentType: format.contentType,
+    encoding: format.binary ? 'base64' : 'utf8',
+    content,
+  };
+}
+
+/**
+ * Merge the outputs of a split document's pages into one, for the formats
+ * whose documents can simply be concatenated. Returns null otherwise.
+ */
+function mergeOutputs(name, outputs) {
+  if (outputs.length === 1) return outputs[0];
+  if (name !== 'markdown') return null;
+  return {
+    ...outputs[0],
+    content: outputs.map((output) => output.content.trim()).join(PAGE_SEPARATOR),
+  };
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  DEFAULT_OUTPUT_FORMAT,
+  getOutputFormat,
+  buildOutput,
+  mergeOutputs,
+  htmlToMarkdown,
+};
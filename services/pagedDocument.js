@@ -0,0 +1,186 @@
+/**
+ * Multi-page Documents
+ * Shared handling for documents that are split into pages server-side (PDF,
+ * multi-page TIFF): page range selection, OCR of the rendered pages with
+ * bounded concurrency and merging of the page results into one item result.
+ */
+
+const { ErrorCodes } = require('./errorCodes');
+const { createLimiter, mapWithConcurrency } = require('./concurrency');
+const { mergeOutputs } = require('./outputFormats');
+
+// Pages of one document OCRed at the same time
+const PAGE_CONCURRENCY = parseInt(process.env.OCR_PAGE_CONCURRENCY, 10) || 2;
+// Pages rendered at the same time across all documents and requests; every
+// render holds a full page bitmap in memory
+const RENDER_CONCURRENCY = parseInt(process.env.OCR_RENDER_CONCURRENCY, 10) || 2;
+// Upper bound on the pages OCRed for a single document
+const MAX_PAGES = parseInt(process.env.OCR_MAX_PAGES, 10) || 50;
+
+// Separates page texts in the merged document text
+const PAGE_SEPARATOR = '\n\n';
+
+const limitRender = createLimiter(RENDER_CONCURRENCY);
+
+function pageRangeError(message) {
+  const error = new Error(message);
+  error.code = ErrorCodes.INVALID_PAGE_RANGE;
+  return error;
+}
+
+/**
+ * Parse a page range such as "1-3,5,8-" into sorted, unique page numbers.
+ * An empty range selects every page.
+ */
+function parsePageRange(range, pageCount) {
+  if (range === undefined || range === null || String(range).trim() === '') {
+    return Array.from({ length: pageCount }, (_, index) => index + 1);
+  }
+
+  const pages = new Set();
+  for (const part of String(range).split(',')) {
+    const match = part.trim().match(/^(\d+)(?:\s*(-)\s*(\d*))?$/);
+    if (!match) {
+      throw pageRangeError(`Invalid page range "${part.trim()}". Use e.g. "1-3,5,8-".`);
+    }
+    const first = parseInt(match[1], 10);
+    const last = match[2] ? (match[3] ? parseInt(match[3], 10) : pageCount) : first;
+    if (first < 1 || last < first) {
+      throw pageRangeError(`Invalid page range "${part.trim()}".`);
+    }
+    if (last > pageCount) {
+      throw pageRangeError(`Page ${last} is out of range; the document has ${pageCount} page(s).`);
+    }
+    for (let page = first; page <= last; page++) pages.add(page);
+  }
+  return [...pages].sort((a, b) => a - b);
+}
+
+/**
+ * Empty item result for a paged document, shaped like performOcr's result
+ */
+function createPagedResult(fileName) {
+  return {
+    fileName,
+    success: false,
+    text: '',
+    error: '',
+    errorCode: null,
+    pageCount: 0,
+    pages: [],
+    timing: {},
+  };
+}
+
+/**
+ * Page numbers to OCR for `range`, or null after recording the problem in
+ * `result` when the range is invalid or selects too many pages. The optional
+ * `chargePages(count)` charges the selected pages against a quota, returning
+ * an error message when they do not fit.
+ */
+function selectPages(result, range, pageCount, chargePages) {
+  result.pageCount = pageCount;
+  let pageNumbers;
+  try {
+    pageNumbers = parsePageRange(range, pageCount);
+  } catch (error) {
+    result.errorCode = error.code;
+    result.error = error.message;
+    return null;
+  }
+  if (pageNumbers.length > MAX_PAGES) {
+    result.errorCode = ErrorCodes.INVALID_PAGE_RANGE;
+    result.error = `At most ${MAX_PAGES} pages can be OCRed per document; ${pageNumbers.length} were selected. Use the pages parameter to select a range.`;
+    return null;
+  }
+  const quotaError = chargePages ? chargePages(pageNumbers.length) : null;
+  if (quotaError) {
+    result.errorCode = ErrorCodes.QUOTA_EXCEEDED;
+    result.error = quotaError;
+    return null;
+  }
+  return pageNumbers;
+}
+
+/**
+ * Render and OCR pages, PAGE_CONCURRENCY at a time. `renderPage(pageNumber)`
+ * resolves with a PNG buffer and waits for one of the RENDER_CONCURRENCY
+ * render slots; `ocrPage(pngBuffer, pageFileName)` with a
+ * performOcr result. Render failures are reported with `renderErrorCode`.
+ */
+function ocrPages(fileName, pageNumbers, renderPage, ocrPage, renderErrorCode) {
+  return mapWithConcurrency(pageNumbers, PAGE_CONCURRENCY, async (pageNumber) => {
+    const pageResult = {
+      pageNumber,
+      success: false,
+      text: '',
+      error: '',
+      errorCode: null,
+      timing: {},
+    };
+
+    const renderStartTime = Date.now();
+    let image;
+    try {
+      image = await limitRender(() => renderPage(pageNumber));
+    } catch (error) {
+      pageResult.errorCode = renderErrorCode;
+      pageResult.error = `Could not render page ${pageNumber}: ${error.message}`;
+      return pageResult;
+    }
+    pageResult.timing.page_render = (Date.now() - renderStartTime) / 1000;
+
+    try {
+      const ocrResult = await ocrPage(image, `${fileName} (page ${pageNumber})`);
+      pageResult.success = ocrResult.success;
+      pageResult.text = ocrResult.text;
+      pageResult.error = ocrResult.error;
+      pageResult.errorCode = ocrResult.errorCode;
+      Object.assign(pageResult.timing, ocrResult.timing);
+      if (ocrResult.preprocessing) pageResult.preprocessing = ocrResult.preprocessing;
+      if (ocrResult.output) pageResult.output = ocrResult.output;
+      if (ocrResult.tables) pageResult.tables = ocrResult.tables;
+    } catch (error) {
+      pageResult.errorCode = ErrorCodes.OCR_FAILED;
+      pageResult.error = `OCR processing error: ${error.message}`;
+    }
+    return pageResult;
+  });
+}
+
+/**
+ * Fill the merged text, tables (numbered across the document, each with its
+ * pageNumber) and output (where the format allows merging) and the overall
+ * outcome of a paged result from its pages. The item fails when any
+ * page failed; the other pages' text is kept.
+ */
+function mergePages(result) {
+  const failedPages = result.pages.filter((page) => !page.success);
+  const succeededPages = result.pages.filter((page) => page.success);
+  result.text = succeededPages
+    .map((page) => page.text.trim())
+    .join(PAGE_SEPARATOR);
+  const outputs = succeededPages.filter((page) => page.output).map((page) => page.output);
+  const mergedOutput = outputs.length > 0 && mergeOutputs(outputs[0].format, outputs);
+  if (mergedOutput) result.output = mergedOutput;
+  if (succeededPages.some((page) => page.tables)) {
+    result.tables = succeededPages
+      .flatMap((page) => (page.tables || []).map((table) => ({ ...table, pageNumber: page.pageNumber })))
+      .map((table, index) => ({ ...table, index }));
+  }
+  result.success = failedPages.length === 0;
+  if (!result.success) {
+    result.errorCode = failedPages[0].errorCode || ErrorCodes.OCR_FAILED;
+    result.error = `${failedPages.length} of ${result.pages.length} page(s) failed: ` +
+      failedPages.map((page) => `page ${page.pageNumber}: ${page.error}`).join('; ');
+  }
+  return result;
+}
+
+module.exports = {
+  parsePageRange,
+  createPagedResult,
+  selectPages,
+  ocrPages,
+  mergePages,
+};
@@ -0,0 +1,171 @@
+/**
+ * Server-side PDF Handling
+ * Splits PDFs into pages with PDF.js and renders each selected page to PNG
+ * with node-canvas; pagedDocument.js OCRs the pages and merges their text.
+ */
+
+const path = require('path');
+const { ErrorCodes } = require('./errorCodes');
+const {
+  createPagedResult,
+  selectPages,
+  ocrPages,
+  mergePages,
+} = require('./pagedDocument');
+const logger = require('./logger');
+
+// 2x the 72 DPI PDF user space, i.e. 144 DPI
+const RENDER_SCALE = parseFloat(process.env.PDF_RENDER_SCALE) || 2;
+// Pages larger than this many pixels at RENDER_SCALE are rendered at a lower
+// scale. A4 and Letter pages are about 2.8 million pixels at scale 2; each
+// pixel takes 4 bytes of canvas memory.
+const MAX_PIXELS = parseInt(process.env.PDF_MAX_PIXELS, 10) || 12 * 1000 * 1000;
+// Largest canvas side cairo can allocate
+const MAX_SIDE = 32767;
+
+let renderer;
+
+/**
+ * Load PDF.js and node-canvas on first use. The canvas native module may be
+ * missing on some hosts, in which case PDFs are sent to Drive whole.
+ */
+function loadRenderer() {
+  if (renderer !== undefined) return renderer;
+  try {
+    // canvas first: PDF.js warns noisily when it cannot polyfill from it
+    const canvas = require('canvas');
+    renderer = {
+      canvas,
+      pdfjs: require('pdfjs-dist/legacy/build/pdf.js'),
+      standardFontDataUrl: path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep,
+    };
+  } catch (error) {
+    logger.warn(`Server-side PDF rendering is unavailable: ${error.message}`);
+    renderer = null;
+  }
+  return renderer;
+}
+
+function isPdfRenderingAvailable() {
+  return loadRenderer() !== null;
+}
+
+// Canvas factory handing PDF.js canvases from our node-canvas
+class CanvasFactory {
+  constructor(canvas) {
+    this.canvas = canvas;
+  }
+
+  create(width, height) {
+    const canvas = this.canvas.createCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d') };
+  }
+
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+// RENDER_SCALE, reduced as far as needed to keep the page within MAX_PIXELS
+// and MAX_SIDE, so a huge page size cannot allocate a huge canvas
+function pageScale(page, pageNumber) {
+  const { width, height } = page.getViewport({ scale: 1 });
+  const scale = Math.min(
+    RENDER_SCALE,
+    Math.sqrt(MAX_PIXELS / (width * height)),
+    MAX_SIDE / width,
+    MAX_SIDE / height
+  );
+  if (scale < RENDER_SCALE) {
+    logger.info(`Rendering PDF page ${pageNumber} (${Math.round(width)}x${Math.round(height)}pt) at scale ${scale.toFixed(3)}`);
+  }
+  return scale;
+}
+
+async function renderPage(pdf, pageNumber, canvasFactory) {
+  const page = await pdf.getPage(pageNumber);
+  try {
+    const viewport = page.getViewport({ scale: pageScale(page, pageNumber) });
+    const target = canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    try {
+      // White background, PDF pages are transparent by default
+      target.context.fillStyle = '#ffffff';
+      target.context.fillRect(0, 0, target.canvas.width, target.canvas.height);
+      await page.render({ canvasContext: target.context, viewport }).promise;
+      return target.canvas.toBuffer('image/png');
+    } finally {
+      canvasFactory.destroy(target);
+    }
+  } finally {
+    page.cleanup();
+  }
+}
+
+/**
+ * OCR a PDF page by page. `ocrPage(pngBuffer, pageFileName)` OCRs one
+ * rendered page and resolves with a performOcr result. `options.pages` is an
+ * optional page range, `options.chargePages` charges the selected pages (see
+ * selectPages). Resolves with a result shaped like performOcr's plus
+ * `pageCount` and `pages`.
+ */
+async function ocrPdf(data, fileName, ocrPage, options = {}) {
+  const startTime = Date.now();
+  const result = createPagedResult(fileName);
+
+  const pdfRenderer = loadRenderer();
+  if (!pdfRenderer) {
+    result.errorCode = ErrorCodes.OCR_FAILED;
+    result.error = 'Server-side PDF rendering is unavailable, so a page range cannot be applied.';
+    return result;
+  }
+
+  const canvasFactory = new CanvasFactory(pdfRenderer.canvas);
+  let pdf;
+  try {
+    pdf = await pdfRenderer.pdfjs.getDocument({
+      data: new Uint8Array(data.buffer, data.byteOffset, data.length),
+      canvasFactory,
+      standardFontDataUrl: pdfRenderer.standardFontDataUrl,
+      isEvalSupported: false,
+      verbosity: 0,
+    }).promise;
+  } catch (error) {
+    result.errorCode = ErrorCodes.INVALID_PDF;
+    result.error = `Could not read PDF: ${error.message}`;
+    return result;
+  }
+
+  try {
+    const pageNumbers = selectPages(result, options.pages, pdf.numPages, options.chargePages);
+    if (!pageNumbers) return result;
+
+    logger.info(`Splitting PDF ${fileName}: OCR of ${pageNumbers.length} of ${pdf.numPages} page(s)`);
+
+    result.pages = await ocrPages(
+      fileName,
+      pageNumbers,
+      (pageNumber) => renderPage(pdf, pageNumber, canvasFactory),
+      ocrPage,
+      ErrorCodes.INVALID_PDF
+    );
+  } finally {
+    await pdf.destroy();
+  }
+
+  mergePages(result);
+  result.timing.total_duration_pdf = (Date.now() - startTime) / 1000;
+  return result;
+}
+
+module.exports = {
+  ocrPdf,
+  isPdfRenderingAvailable,
+};
@@ -0,0 +1,109 @@
+/**
+ * Response formatting for the two API surfaces
+ * /api/ocr/* keeps the original (v1) shapes for existing clients: bare
+ * `{ meta, results }` batches and errors as a one-element result array.
+ * /api/v2/* wraps everything, success or failure, in a single envelope:
+ *
+ * { apiVersion: "2", success, data, error: { code, message } | null, meta }
+ */
+
+const { ErrorCodes } = require('./errorCodes');
+
+const API_VERSION = '2';
+
+function isV2Request(req) {
+  return req.originalUrl.startsWith('/api/v2/');
+}
+
+function envelope(success, data, error, meta) {
+  return {
+    apiVersion: API_VERSION,
+    success,
+    data,
+    error,
+    meta: meta || null,
+  };
+}
+
+/**
+ * Format a single OCR item result for the surface the request came in on
+ */
+function formatResult(req, result) {
+  if (!isV2Request(req)) return result;
+
+  const { error, errorCode, ...rest } = result;
+  const formatted = {
+    ...rest,
+    error: error
+      ? { code: errorCode || ErrorCodes.OCR_FAILED, message: error }
+      : null,
+  };
+  // Per-page results of split PDFs carry their own errors
+  if (Array.isArray(result.pages)) {
+    formatted.pages = result.pages.map((page) => formatResult(req, page));
+  }
+  return formatted;
+}
+
+/**
+ * Send a request-level failure. `options.fileName` names the failed item in
+ * the original format; `options.details` lists individual problems.
+ */
+function sendError(req, res, status, code, message, options = {}) {
+  const { fileName = "N/A", details } = options;
+  if (isV2Request(req)) {
+    const error = details ? { code, message, details } : { code, message };
+    return res.status(status).json(envelope(false, null, error));
+  }
+  return res.status(status).json([
+    {
+      fileName,
+      success: false,
+      error: message,
+    },
+  ]);
+}
+
+/**
+ * Batch summary: processing time from `startTime` to `endTime` (ms epoch,
+ * defaulting to now) and the item counts
+ */
+function buildBatchMeta(results, startTime, endTime = Date.now()) {
+  const succeededCount = results.filter((result) => result.success).length;
+  return {
+    batchProcessingTime: (endTime - startTime) / 1000,
+    processedCount: results.length,
+    succeededCount,
+    failedCount: results.length - succeededCount,
+  };
+}
+
+/**
+ * Send a processed batch of OCR results
+ */
+function sendBatch(req, res, meta, results) {
+  const formatted = results.map((result) => formatResult(req, result));
+  if (isV2Request(req)) {
+    return res.json(envelope(true, { results: formatted }, null, meta));
+  }
+  return res.json({ meta, results: formatted });
+}
+
+/**
+ * Send any other successful payload (job status, usage, deliveries, ...)
+ */
+function sendData(req, res, data, status = 200) {
+  if (isV2Request(req)) {
+    return res.status(status).json(envelope(true, data, null));
+  }
+  return res.status(status).json(data);
+}
+
+module.exports = {
+  isV2Request,
+  formatResult,
+  buildBatchMeta,
+  sendError,
+  sendBatch,
+  sendData,
+};
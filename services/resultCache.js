@@ -0,0 +1,115 @@
+/**
+ * OCR Result Cache
+ * Successful OCR results keyed by the SHA-256 of the document bytes plus the
+ * OCR options, so re-submitted scans skip the Drive round-trip. Identical
+ * documents that are being processed at the same time (e.g. duplicates inside
+ * one batch) share a single performOcr call. Both are scoped to the API key
+ * of the request, so keys never see each other's documents or learn that
+ * another key submitted one.
+ */
+
+const crypto = require('crypto');
+const { LRUCache } = require('lru-cache');
+const { getKeyOwner } = require('./apiKeyService');
+const { recordCacheLookup } = require('./metrics');
+
+const CACHE_TTL_MS = parseInt(process.env.OCR_CACHE_TTL_MS, 10) || 60 * 60 * 1000;
+// 0 disables the cache (in-flight deduplication still applies)
+const CACHE_MAX_ENTRIES = process.env.OCR_CACHE_MAX_ENTRIES !== undefined
+  ? parseInt(process.env.OCR_CACHE_MAX_ENTRIES, 10) || 0
+  : 1000;
+// Total size of the cached results, measured as their JSON; exported
+// documents (docx, pdf, ...) can make single results several MB
+const CACHE_MAX_BYTES = parseInt(process.env.OCR_CACHE_MAX_BYTES, 10) || 100 * 1024 * 1024;
+
+const results = CACHE_MAX_ENTRIES > 0
+  ? new LRUCache({
+    max: CACHE_MAX_ENTRIES,
+    maxSize: CACHE_MAX_BYTES,
+    sizeCalculation: (result) => Buffer.byteLength(JSON.stringify(result)) || 1,
+    ttl: CACHE_TTL_MS,
+  })
+  : null;
+
+// key -> Promise of the result of the performOcr call currently running
+const inFlight = new Map();
+
+/**
+ * Cache policy of a request, from its Cache-Control header:
+ * `no-cache` skips the cache lookup, `no-store` does not store the result.
+ * `owner` scopes cached and in-flight results to the request's API key.
+ */
+function getCachePolicy(req) {
+  const directives = String(req.get('Cache-Control') || '')
+    .toLowerCase()
+    .split(',')
+    .map((directive) => directive.trim());
+  return {
+    read: !directives.includes('no-cache') && !directives.includes('no-store'),
+    write: !directives.includes('no-store'),
+    owner: getKeyOwner(req),
+  };
+}
+
+/**
+ * Cache key for a document and the options that affect its OCR output
+ */
+function getCacheKey(data, options = {}) {
+  const hash = crypto.createHash('sha256').update(data);
+  // Sorted keys so option order does not change the key
+  const sortedOptions = Object.keys(options)
+    .sort()
+    .map((name) => [name, options[name]]);
+  hash.update(JSON.stringify(sortedOptions));
+  return hash.digest('hex');
+}
+
+// A private copy for one caller, named after that caller's file
+function copyResult(result, fileName, cacheHit) {
+  const copy = structuredClone(result);
+  copy.fileName = fileName;
+  copy.cacheHit = cacheHit;
+  if (cacheHit) copy.timing = {};
+  return copy;
+}
+
+/**
+ * Return the result for `key`, from the cache, from an identical call already
+ * running for the same owner, or by calling `compute()`. Only successful
+ * results are stored.
+ */
+async function getOrCompute(documentKey, fileName, compute, policy = { read: true, write: true }) {
+  const key = `${policy.owner || 'anonymous'} ${documentKey}`;
+  if (policy.read && results) {
+    const cached = results.get(key);
+    if (cached) {
+      recordCacheLookup('hit');
+      return copyResult(cached, fileName, true);
+    }
+  }
+
+  if (inFlight.has(key)) {
+    recordCacheLookup('shared');
+    return copyResult(await inFlight.get(key), fileName, true);
+  }
+
+  recordCacheLookup('miss');
+  const pending = compute();
+  inFlight.set(key, pending);
+  try {
+    const result = await pending;
+    if (result.success && policy.write && results) {
+      results.set(key, copyResult(result, result.fileName, false));
+    }
+    result.cacheHit = false;
+    return result;
+  } finally {
+    inFlight.delete(key);
+  }
+}
+
+module.exports = {
+  getCachePolicy,
+  getCacheKey,
+  getOrCompute,
+};
@@ -0,0 +1,57 @@
+/**
+ * Streaming batch responses
+ * Emits each OCR result as soon as it finishes, either as newline-delimited
+ * JSON (application/x-ndjson) or as Server-Sent Events (text/event-stream),
+ * followed by a final meta event once the whole batch is done.
+ */
+
+const NDJSON = 'application/x-ndjson';
+const SSE = 'text/event-stream';
+
+/**
+ * Pick a streaming format from the Accept header, or null for a regular JSON response
+ */
+function getStreamFormat(req) {
+  const accept = req.headers.accept || '';
+  if (accept.includes(NDJSON)) return NDJSON;
+  if (accept.includes(SSE)) return SSE;
+  return null;
+}
+
+function openResultStream(res, format) {
+  res.status(200);
+  res.setHeader('Content-Type', `${format}; charset=utf-8`);
+  res.setHeader('Cache-Control', 'no-cache');
+  // Stop reverse proxies (nginx, Render) from buffering the stream
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  function write(event, payload) {
+    if (res.writableEnded || res.destroyed) return;
+    if (format === SSE) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+    } else {
+      res.write(JSON.stringify({ type: event, ...payload }) + '\n');
+    }
+  }
+
+  return {
+    sendResult(index, result) {
+      write('result', { index, result });
+    },
+    sendMeta(meta) {
+      write('meta', { meta });
+    },
+    sendError(message) {
+      write('error', { error: message });
+    },
+    end() {
+      if (!res.writableEnded) res.end();
+    },
+  };
+}
+
+module.exports = {
+  getStreamFormat,
+  openResultStream,
+};
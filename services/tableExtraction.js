@@ -0,0 +1,98 @@
+/**
+ * Table Extraction
+ * Finds the tables Google's conversion recognized in the HTML export of the
+ * OCRed document and returns each as JSON rows keyed by the header row and as
+ * CSV, since the plain text export flattens them into runs of text.
+ */
+
+const { parse } = require('node-html-parser');
+
+const CSV_LINE_BREAK = '\r\n';
+
+// RFC 4180: quote fields containing a delimiter, quote or line break
+function csvField(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function toCsv(cells) {
+  return cells.map((row) => row.map(csvField).join(',')).join(CSV_LINE_BREAK);
+}
+
+// Paragraphs and line breaks inside a cell become newlines
+function cellText(cell) {
+  return cell.structuredText.replace(/[ \t\u00a0]+/g, ' ').replace(/ *\n */g, '\n').trim();
+}
+
+const spanOf = (cell, attribute) => Math.max(1, parseInt(cell.getAttribute(attribute), 10) || 1);
+
+/**
+ * Lay out a table's cells on a grid. Merged cells keep their text in the
+ * top-left position and leave the other positions they cover empty, so the
+ * columns of every row line up.
+ */
+function tableGrid(table) {
+  // Only this table's rows, not those of tables nested in its cells
+  const rows = table.querySelectorAll('tr').filter((row) => row.closest('table') === table);
+  const grid = rows.map(() => []);
+
+  rows.forEach((row, rowIndex) => {
+    let column = 0;
+    for (const cell of row.childNodes.filter((node) => node.tagName === 'TD' || node.tagName === 'TH')) {
+      while (grid[rowIndex][column] !== undefined) column++;
+      const rowSpan = Math.min(spanOf(cell, 'rowspan'), rows.length - rowIndex);
+      const colSpan = spanOf(cell, 'colspan');
+      for (let r = 0; r < rowSpan; r++) {
+        for (let c = 0; c < colSpan; c++) {
+          grid[rowIndex + r][column + c] = r === 0 && c === 0 ? cellText(cell) : '';
+        }
+      }
+      column += colSpan;
+    }
+  });
+
+  const columnCount = Math.max(0, ...grid.map((row) => row.length));
+  return grid.map((row) => Array.from({ length: columnCount }, (_, index) => row[index] || ''));
+}
+
+// Keys for the JSON rows: the header cells, made unique and non-empty
+function columnKeys(header) {
+  const seen = new Map();
+  return header.map((cell, index) => {
+    const base = cell.replace(/\s+/g, ' ') || `column_${index + 1}`;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count === 1 ? base : `${base}_${count}`;
+  });
+}
+
+/**
+ * Extract the tables of an HTML document. Each table is returned as
+ * `{ index, rowCount, columnCount, header, rows, csv }`: `header` is the first
+ * row, `rows` the remaining rows as objects keyed by the header cells and
+ * `csv` the whole table. Empty tables are skipped.
+ */
+function extractTables(html) {
+  const root = parse(html, { blockTextElements: { script: false, style: false } });
+  const tables = [];
+
+  for (const table of root.querySelectorAll('table')) {
+    const cells = tableGrid(table).filter((row) => row.some((cell) => cell !== ''));
+    if (cells.length === 0) continue;
+
+    const [header, ...body] = cells;
+    const keys = columnKeys(header);
+    tables.push({
+      index: tables.length,
+      rowCount: cells.length,
+      columnCount: header.length,
+      header,
+      rows: body.map((row) => Object.fromEntries(keys.map((key, column) => [key, row[column]]))),
+      csv: toCsv(cells),
+    });
+  }
+  return tables;
+}
+
+module.exports = {
+  extractTables,
+};
@@ -0,0 +1,268 @@
+/**
+ * Template-based Field Extraction
+ * Reads structured fields such as an invoice number or total out of the OCRed
+ * text, following declarative templates: every JSON file in
+ * EXTRACTION_TEMPLATES_DIR (default templates/) is a template named after the
+ * file. A field is looked up after one of its anchors (labels such as
+ * "Invoice No"), on the same line or the next one, and converted to its type.
+ *
+ * Template format:
+ * {
+ *   "description": "Invoices",
+ *   "fields": {
+ *     "total": {
+ *       "type": "amount",         // string, number, amount, date, email, phone, url or iban
+ *       "required": true,
+ *       "anchors": ["Grand Total", "Total"],
+ *       "pattern": "...",         // optional regex for the value; its first group wins
+ *       "flags": "i",
+ *       "select": "last",         // anchor occurrence tried first: first (default) or last
+ *       "fallback": false         // search the whole text when no anchor has a value
+ *     }
+ *   }
+ * }
+ * Fields without anchors are always searched in the whole text.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { extractEntities, parseAmount } = require('./entityExtraction');
+const logger = require('./logger');
+
+const TEMPLATES_DIR = process.env.EXTRACTION_TEMPLATES_DIR || path.join(__dirname, '..', 'templates');
+
+const VALUE_TYPES = ['string', 'number', 'amount', 'date', 'email', 'phone', 'url', 'iban'];
+
+// Value found after the anchor on its own line, on the next line, or
+// anywhere in the text without an anchor
+const CONFIDENCE = { sameLine: 'high', nextLine: 'medium', anywhere: 'low' };
+
+// 1,234.56 / 1.234,56 / -12 - the same grouping rules as the amounts of entity extraction
+const NUMBER = /-?\d{1,3}(?:[,. \u00A0]\d{3})+(?:[.,]\d{1,2})?(?!\d)|-?\d+(?:[.,]\d{1,2})?(?!\d)/;
+
+// The text of a string field: the line without the separators after the anchor
+const STRING_VALUE = /[^\s:#=.-](?:[^\n]*\S)?/;
+
+// name -> { description, fields }
+const templates = new Map();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const isAlphanumeric = (char) => /[\p{L}\p{N}]/u.test(char);
+
+// Anchors match case-insensitively, with any whitespace between their words,
+// and not inside longer words ("Total" does not match "Subtotal")
+function anchorPattern(anchor) {
+  const words = anchor.trim().split(/\s+/).map(escapeRegExp).join('\\s+');
+  const before = isAlphanumeric(anchor.trim()[0]) ? '(?<![\\p{L}\\p{N}])' : '';
+  const after = isAlphanumeric(anchor.trim().slice(-1)) ? '(?![\\p{L}\\p{N}])' : '';
+  return new RegExp(`${before}${words}${after}`, 'giu');
+}
+
+function numberValue(raw) {
+  const amount = Number(parseAmount(raw));
+  return raw.startsWith('-') ? -amount : amount;
+}
+
+/**
+ * The first value of a type in a text: `{ value, text, start, end }`, with
+ * `currency` for amounts, or null
+ */
+function findTyped(type, text) {
+  if (type === 'string') {
+    const match = text.match(STRING_VALUE);
+    return match && { value: match[0], text: match[0], start: match.index, end: match.index + match[0].length };
+  }
+
+  if (type === 'amount') {
+    const [entity] = extractEntities(text, ['amount']);
+    if (entity) {
+      return {
+        value: Number(entity.normalized),
+        currency: entity.currency,
+        text: entity.value,
+        start: entity.start,
+        end: entity.end,
+      };
+    }
+  }
+
+  if (type === 'number' || type === 'amount') {
+    const match = text.match(NUMBER);
+    if (!match) return null;
+    return {
+      value: numberValue(match[0]),
+      ...(type === 'amount' && { currency: null }),
+      text: match[0],
+      start: match.index,
+      end: match.index + match[0].length,
+    };
+  }
+
+  const [entity] = extractEntities(text, [type]);
+  return entity ? { value: entity.normalized, text: entity.value, start: entity.start, end: entity.end } : null;
+}
+
+/**
+ * The first value of a field in text[from, to); offsets refer to the whole text
+ */
+function findValue(field, text, from, to) {
+  const window = text.slice(from, to);
+  const candidates = [];
+  if (field.pattern) {
+    field.pattern.lastIndex = 0;
+    let match;
+    while ((match = field.pattern.exec(window)) !== null) {
+      if (match[0] === '') {
+        field.pattern.lastIndex++;
+        continue;
+      }
+      const group = match.length > 1 && match[1] !== undefined ? 1 : 0;
+      candidates.push({ text: match[group], start: match.indices[group][0] });
+    }
+  } else {
+    candidates.push({ text: window, start: 0 });
+  }
+
+  for (const candidate of candidates) {
+    const found = findTyped(field.type, candidate.text);
+    if (!found) continue;
+    return {
+      ...found,
+      start: from + candidate.start + found.start,
+      end: from + candidate.start + found.end,
+    };
+  }
+  return null;
+}
+
+function lineEnd(text, index) {
+  const end = text.indexOf('\n', index);
+  return end === -1 ? text.length : end;
+}
+
+// Offsets of the first non-blank line starting at index, or null
+function nextLine(text, index) {
+  let start = index;
+  while (start < text.length) {
+    const end = lineEnd(text, start);
+    if (text.slice(start, end).trim()) return [start, end];
+    start = end + 1;
+  }
+  return null;
+}
+
+function extractField(field, text) {
+  for (const anchor of field.anchors) {
+    const occurrences = [...text.matchAll(anchorPattern(anchor))];
+    if (field.select === 'last') occurrences.reverse();
+
+    for (const occurrence of occurrences) {
+      const anchorEnd = occurrence.index + occurrence[0].length;
+      const end = lineEnd(text, anchorEnd);
+      const found = findValue(field, text, anchorEnd, end);
+      if (found) return { ...found, confidence: CONFIDENCE.sameLine, anchor: occurrence[0] };
+
+      const line = nextLine(text, end + 1);
+      const below = line && findValue(field, text, line[0], line[1]);
+      if (below) return { ...below, confidence: CONFIDENCE.nextLine, anchor: occurrence[0] };
+    }
+  }
+
+  if (field.anchors.length > 0 && !field.fallback) return null;
+  // Without an anchor a plain string field is the first non-blank line, e.g.
+  // the merchant name heading a receipt
+  const [from, to] = field.type === 'string' && !field.pattern ? nextLine(text, 0) || [0, 0] : [0, text.length];
+  const found = findValue(field, text, from, to);
+  return found && { ...found, confidence: CONFIDENCE.anywhere, anchor: null };
+}
+
+/**
+ * Extract the fields of a template from a text. Returns
+ * `{ template, fields, missingRequired }`: fields maps every field name to
+ * `{ value, text, confidence, anchor, start, end }` (amounts also have
+ * `currency`) or null when it was not found; offsets refer to the text.
+ */
+function extractTemplateFields(text, templateName) {
+  const template = templates.get(templateName);
+  const fields = {};
+  const missingRequired = [];
+  for (const [name, field] of Object.entries(template.fields)) {
+    fields[name] = extractField(field, text);
+    if (!fields[name] && field.required) missingRequired.push(name);
+  }
+  return { template: templateName, fields, missingRequired };
+}
+
+// Check a template file and compile its patterns
+function parseTemplate(name, config) {
+  if (!config || typeof config.fields !== 'object' || Object.keys(config.fields).length === 0) {
+    throw new Error('"fields" must be an object with at least one field');
+  }
+
+  const fields = {};
+  for (const [fieldName, field] of Object.entries(config.fields)) {
+    const type = field.type || 'string';
+    if (!VALUE_TYPES.includes(type)) {
+      throw new Error(`field "${fieldName}" has unknown type "${type}"; use one of ${VALUE_TYPES.join(', ')}`);
+    }
+    const anchors = field.anchors || [];
+    if (!Array.isArray(anchors) || anchors.some((anchor) => typeof anchor !== 'string' || !anchor.trim())) {
+      throw new Error(`field "${fieldName}" must list its anchors as non-empty strings`);
+    }
+    if (field.select && !['first', 'last'].includes(field.select)) {
+      throw new Error(`field "${fieldName}" has unknown select "${field.select}"; use first or last`);
+    }
+    let pattern = null;
+    if (field.pattern) {
+      try {
+        pattern = new RegExp(field.pattern, `${(field.flags || '').replace(/[gd]/g, '')}gd`);
+      } catch (error) {
+        throw new Error(`field "${fieldName}" has an invalid pattern: ${error.message}`);
+      }
+    }
+    fields[fieldName] = {
+      type,
+      required: Boolean(field.required),
+      anchors,
+      pattern,
+      select: field.select || 'first',
+      fallback: Boolean(field.fallback),
+    };
+  }
+  return { description: config.description || name, fields };
+}
+
+function loadTemplates() {
+  templates.clear();
+  if (!fs.existsSync(TEMPLATES_DIR)) {
+    logger.warn(`No extraction templates found: ${TEMPLATES_DIR} does not exist`);
+    return;
+  }
+
+  for (const file of fs.readdirSync(TEMPLATES_DIR).filter((entry) => entry.endsWith('.json')).sort()) {
+    const name = path.basename(file, '.json');
+    try {
+      const config = JSON.parse(fs.readFileSync(path.join(TEMPLATES_DIR, file), 'utf8'));
+      templates.set(name, parseTemplate(name, config));
+    } catch (error) {
+      // A broken template must fail at startup, not on the first request using it
+      throw new Error(`Failed to load extraction template ${file}: ${error.message}`);
+    }
+  }
+
+  logger.info(`Loaded ${templates.size} extraction template(s)`);
+}
+
+/**
+ * Names of the loaded templates, selectable with an item's `template` option
+ */
+function getTemplateNames() {
+  return [...templates.keys()];
+}
+
+loadTemplates();
+
+module.exports = {
+  extractTemplateFields,
+  getTemplateNames,
+};
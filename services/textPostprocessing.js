@@ -0,0 +1,82 @@
+/**
+ * Text Postprocessing
+ * Optional cleanup of the exported text: BOM stripping, line-ending and
+ * Unicode normalization, ligature expansion, de-hyphenation, paragraph
+ * re-flow and whitespace collapsing. Steps always run in that order; the ones
+ * that changed the text are reported back.
+ */
+
+// Latin ligatures of the Alphabetic Presentation Forms block
+const LIGATURES = {
+  '\uFB00': 'ff',
+  '\uFB01': 'fi',
+  '\uFB02': 'fl',
+  '\uFB03': 'ffi',
+  '\uFB04': 'ffl',
+  '\uFB05': 'st', // long s + t
+  '\uFB06': 'st',
+};
+
+// Lines starting like a list item are kept on their own line when re-flowing
+const LIST_ITEM = /^\s*([-*\u2022\u2023\u25E6]|\d+[.)]|[a-z][.)])\s/i;
+
+const STEPS = [
+  ['stripBom', (text) => text.replace(/\uFEFF/g, '')],
+  ['normalizeLineEndings', (text) => text.replace(/\r\n?/g, '\n')],
+  ['normalizeUnicode', (text) => text.normalize('NFC')],
+  ['expandLigatures', (text) => text.replace(/[\uFB00-\uFB06]/g, (ligature) => LIGATURES[ligature])],
+  // "exam-\nple" -> "example"; only when the next line continues in lower
+  // case, so hyphenated compounds and dashes at line ends are kept
+  ['dehyphenate', (text) => text.replace(/(\p{L})[-\u00AD]\r?\n[ \t]*(?=\p{Ll})/gu, '$1')],
+  ['reflowParagraphs', reflowParagraphs],
+  [
+    'collapseWhitespace',
+    (text) => text
+      .replace(/[^\S\r\n]+/g, ' ')
+      .replace(/ ?(\r?\n) ?/g, '$1')
+      .replace(/(\r?\n){3,}/g, '$1$1')
+      .trim(),
+  ],
+];
+
+// Join the hard-wrapped lines of each paragraph (paragraphs are separated by
+// blank lines) into one line
+function reflowParagraphs(text) {
+  return text
+    .split(/(\r?\n[ \t]*\r?\n)/)
+    .map((block, index) => {
+      // Odd entries are the blank-line separators captured by split
+      if (index % 2 === 1) return block;
+      return block.split(/\r?\n/).reduce((paragraph, line, lineIndex) => {
+        if (lineIndex === 0) return line;
+        if (LIST_ITEM.test(line)) return `${paragraph}\n${line}`;
+        return `${paragraph.replace(/[ \t]+$/, '')} ${line.replace(/^[ \t]+/, '')}`;
+      }, '');
+    })
+    .join('');
+}
+
+/**
+ * Run the requested steps on a text. Returns `{ text, applied }` where
+ * applied lists the names of the steps that changed the text.
+ *
+ * options: { stripBom, normalizeLineEndings, normalizeUnicode,
+ *            expandLigatures, dehyphenate, reflowParagraphs,
+ *            collapseWhitespace } - each true to enable
+ */
+function postprocessText(text, options) {
+  const applied = [];
+  let result = text;
+  for (const [step, apply] of STEPS) {
+    if (!options[step]) continue;
+    const next = apply(result);
+    if (next !== result) applied.push(step);
+    result = next;
+  }
+  return { text: result, applied };
+}
+
+module.exports = {
+  POSTPROCESS_STEPS: STEPS.map(([step]) => step),
+  postprocessText,
+};
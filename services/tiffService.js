@@ -0,0 +1,162 @@
+/**
+ * Server-side TIFF Handling
+ * Scanners produce multi-page TIFFs, which Drive's OCR would read at most one
+ * page of, so TIFFs are always split server-side: every selected page is
+ * decoded with UTIF and re-encoded as PNG; pagedDocument.js OCRs the pages and
+ * merges their text. PNG encoding only needs zlib, not a native module.
+ */
+
+const { promisify } = require('util');
+const zlib = require('zlib');
+const UTIF = require('utif');
+const { ErrorCodes } = require('./errorCodes');
+const {
+  createPagedResult,
+  selectPages,
+  ocrPages,
+  mergePages,
+} = require('./pagedDocument');
+const logger = require('./logger');
+
+// Refuse to decode pages larger than this many pixels. A4 and Letter scans
+// at 300 DPI are about 8.7 million pixels; decoding and re-encoding takes
+// about 10 bytes per pixel.
+const MAX_PIXELS = parseInt(process.env.TIFF_MAX_PIXELS, 10) || 12 * 1000 * 1000;
+
+const deflate = promisify(zlib.deflate);
+
+// Let other requests run between the synchronous decoding steps of a page
+const yieldToEventLoop = () => new Promise((resolve) => setImmediate(resolve));
+
+// Tags: 256 ImageWidth, 257 ImageLength, 254 NewSubfileType (bit 0 marks a
+// reduced-resolution copy such as a thumbnail)
+const pageWidth = (ifd) => ifd.t256 && ifd.t256[0];
+const pageHeight = (ifd) => ifd.t257 && ifd.t257[0];
+const isPage = (ifd) => pageWidth(ifd) > 0 && pageHeight(ifd) > 0 && !(ifd.t254 && ifd.t254[0] & 1);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode RGBA pixels as an 8-bit PNG. Transparency is flattened onto white;
+ * pages without colour are written as grayscale, which keeps scans small.
+ * Compression runs on the libuv thread pool.
+ */
+async function encodePng(rgba, width, height) {
+  let gray = true;
+  const rgb = Buffer.alloc(width * height * 3);
+  for (let i = 0, j = 0; i < rgba.length; i += 4, j += 3) {
+    const alpha = rgba[i + 3] / 255;
+    for (let channel = 0; channel < 3; channel++) {
+      rgb[j + channel] = Math.round(rgba[i + channel] * alpha + 255 * (1 - alpha));
+    }
+    if (gray && (rgb[j] !== rgb[j + 1] || rgb[j] !== rgb[j + 2])) gray = false;
+  }
+
+  const channels = gray ? 1 : 3;
+  const rowLength = width * channels;
+  // Every scanline starts with filter type 0 (none)
+  const raw = Buffer.alloc((rowLength + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const rowStart = y * (rowLength + 1) + 1;
+    if (gray) {
+      for (let x = 0; x < width; x++) raw[rowStart + x] = rgb[(y * width + x) * 3];
+    } else {
+      rgb.copy(raw, rowStart, y * rowLength, (y + 1) * rowLength);
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = gray ? 0 : 2; // colour type: grayscale or RGB
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', await deflate(raw)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// Pages are rendered through pagedDocument's shared render slots, so only a
+// few pages are decoded at once across all requests
+async function renderPage(data, ifd) {
+  const width = pageWidth(ifd);
+  const height = pageHeight(ifd);
+  if (width * height > MAX_PIXELS) {
+    throw new Error(`page of ${width}x${height} pixels is too large to process`);
+  }
+  UTIF.decodeImage(data, ifd);
+  await yieldToEventLoop();
+  const rgba = UTIF.toRGBA8(ifd);
+  // Release the decoded page; the IFD stays referenced by the page list
+  ifd.data = null;
+  return encodePng(rgba, width, height);
+}
+
+/**
+ * OCR a TIFF page by page, like ocrPdf. `ocrPage(pngBuffer, pageFileName)`
+ * OCRs one page and resolves with a performOcr result. `options.pages` is an
+ * optional page range, `options.chargePages` charges the selected pages.
+ * Resolves with a result shaped like performOcr's plus `pageCount` and
+ * `pages`.
+ */
+async function ocrTiff(data, fileName, ocrPage, options = {}) {
+  const startTime = Date.now();
+  const result = createPagedResult(fileName);
+
+  let ifds;
+  try {
+    ifds = UTIF.decode(data).filter(isPage);
+  } catch (error) {
+    result.errorCode = ErrorCodes.INVALID_TIFF;
+    result.error = `Could not read TIFF: ${error.message}`;
+    return result;
+  }
+  if (ifds.length === 0) {
+    result.errorCode = ErrorCodes.INVALID_TIFF;
+    result.error = 'Could not read TIFF: the file contains no pages.';
+    return result;
+  }
+
+  const pageNumbers = selectPages(result, options.pages, ifds.length, options.chargePages);
+  if (!pageNumbers) return result;
+
+  logger.info(`Splitting TIFF ${fileName}: OCR of ${pageNumbers.length} of ${ifds.length} page(s)`);
+
+  result.pages = await ocrPages(
+    fileName,
+    pageNumbers,
+    (pageNumber) => renderPage(data, ifds[pageNumber - 1]),
+    ocrPage,
+    ErrorCodes.INVALID_TIFF
+  );
+
+  mergePages(result);
+  result.timing.total_duration_tiff = (Date.now() - startTime) / 1000;
+  return result;
+}
+
+module.exports = {
+  ocrTiff,
+};
@@ -0,0 +1,66 @@
+/**
+ * Bounded Upload Storage
+ * A multer storage engine that keeps files in memory like memoryStorage, but
+ * also limits the total bytes of all files in one request. multer's own
+ * limits only cover single files and the file count.
+ */
+
+const { ErrorCodes } = require('./errorCodes');
+
+// Bytes buffered so far per request
+const receivedBytes = new WeakMap();
+
+class BoundedMemoryStorage {
+  constructor(maxTotalBytes) {
+    this.maxTotalBytes = maxTotalBytes;
+  }
+
+  _handleFile(req, file, cb) {
+    const chunks = [];
+    let size = 0;
+    let failed = false;
+
+    file.stream.on('data', (chunk) => {
+      if (failed) return;
+      const total = (receivedBytes.get(req) || 0) + chunk.length;
+      receivedBytes.set(req, total);
+      if (total > this.maxTotalBytes) {
+        // Stop buffering; the rest of the stream is drained and dropped
+        failed = true;
+        chunks.length = 0;
+        const error = new Error(`Upload exceeds ${this.maxTotalBytes} bytes in total.`);
+        error.code = ErrorCodes.FILE_TOO_LARGE;
+        error.status = 413;
+        return cb(error);
+      }
+      chunks.push(chunk);
+      size += chunk.length;
+    });
+    file.stream.on('error', (error) => {
+      if (failed) return;
+      failed = true;
+      cb(error);
+    });
+    file.stream.on('end', () => {
+      if (failed) return;
+      cb(null, { buffer: Buffer.concat(chunks, size), size });
+    });
+  }
+
+  _removeFile(req, file, cb) {
+    delete file.buffer;
+    cb(null);
+  }
+}
+
+/**
+ * Storage engine buffering at most `maxTotalBytes` of files per request.
+ * Going over fails the upload with an error whose code is FILE_TOO_LARGE.
+ */
+function boundedMemoryStorage(maxTotalBytes) {
+  return new BoundedMemoryStorage(maxTotalBytes);
+}
+
+module.exports = {
+  boundedMemoryStorage,
+};
@@ -0,0 +1,162 @@
+/**
+ * Remote Document Fetching
+ * Downloads `imageUrl` items for OCR with protection against server-side
+ * request forgery: only http(s), every resolved address (including those of
+ * redirect targets) must be public unless allow-listed, plus size caps,
+ * timeouts, a redirect limit and a content-type check.
+ *
+ * URL_FETCH_ALLOWED_HOSTS is a comma separated list of host names and/or CIDR
+ * ranges that may be fetched even though they resolve to private addresses,
+ * e.g. "docs.internal.example,10.20.0.0/16".
+ */
+
+const axios = require('axios');
+const { ErrorCodes } = require('./errorCodes');
+const { createAddressGuard, isBlockedError } = require('./addressGuard');
+
+// Defaults to the largest input file server.js accepts, which is above the
+// 5MB OCR limit only when oversized files are shrunk to fit by default
+const MAX_BYTES = parseInt(process.env.URL_FETCH_MAX_BYTES, 10) ||
+  (process.env.OCR_OVERSIZE_MODE === 'fit'
+    ? parseInt(process.env.OCR_MAX_INPUT_BYTES, 10) || 20 * 1024 * 1024
+    : 5 * 1024 * 1024);
+const TIMEOUT_MS = parseInt(process.env.URL_FETCH_TIMEOUT_MS, 10) || 10000;
+const MAX_REDIRECTS = process.env.URL_FETCH_MAX_REDIRECTS !== undefined
+  ? parseInt(process.env.URL_FETCH_MAX_REDIRECTS, 10) || 0
+  : 3;
+
+// Content types we hand to performOcr; octet-stream is common for bucket storage
+const ALLOWED_CONTENT_TYPE = /^(image\/[\w.+-]+|application\/pdf|application\/octet-stream)$/;
+
+const { isAddressAllowed, isHostAllowed, httpAgent, httpsAgent } =
+  createAddressGuard(process.env.URL_FETCH_ALLOWED_HOSTS);
+
+function fetchError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Validate a URL before requesting it (IP literals never reach safeLookup)
+function checkUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw fetchError(ErrorCodes.VALIDATION_ERROR, 'imageUrl is not a valid URL.');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw fetchError(ErrorCodes.VALIDATION_ERROR, 'imageUrl must use http or https.');
+  }
+  if (parsed.username || parsed.password) {
+    throw fetchError(ErrorCodes.VALIDATION_ERROR, 'imageUrl must not contain credentials.');
+  }
+  if (!isHostAllowed(parsed.hostname)) {
+    throw fetchError(ErrorCodes.URL_BLOCKED, `${parsed.hostname.replace(/^\[|\]$/g, '')} is a blocked address.`);
+  }
+  return parsed;
+}
+
+// Read the response body, aborting as soon as it exceeds MAX_BYTES
+function readBody(stream, controller) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BYTES) {
+        reject(fetchError(ErrorCodes.FILE_TOO_LARGE, `Remote file exceeds maximum size of ${MAX_BYTES} bytes.`));
+        controller.abort();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Download a document for OCR. Resolves with `{ data, mimeType, url }` (url
+ * after redirects); rejects with an error whose `code` is an ErrorCodes value.
+ */
+async function fetchRemoteDocument(url) {
+  const controller = new AbortController();
+  // Overall deadline covering every redirect and the body download
+  const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+  try {
+    let currentUrl = checkUrl(url);
+    for (let redirects = 0; ; redirects++) {
+      let response;
+      try {
+        response = await axios.get(currentUrl.href, {
+          responseType: 'stream',
+          maxRedirects: 0,
+          validateStatus: null,
+          signal: controller.signal,
+          httpAgent,
+          httpsAgent,
+          proxy: false,
+          headers: { Accept: 'image/*, application/pdf' },
+        });
+      } catch (error) {
+        if (isBlockedError(error)) {
+          throw fetchError(ErrorCodes.URL_BLOCKED, (error.cause || error).message);
+        }
+        if (controller.signal.aborted) {
+          throw fetchError(ErrorCodes.URL_FETCH_FAILED, `Fetching imageUrl timed out after ${TIMEOUT_MS}ms.`);
+        }
+        throw fetchError(ErrorCodes.URL_FETCH_FAILED, `Could not fetch imageUrl: ${error.message}`);
+      }
+
+      const { status, headers } = response;
+      if (status >= 300 && status < 400 && headers.location) {
+        response.data.destroy();
+        if (redirects >= MAX_REDIRECTS) {
+          throw fetchError(ErrorCodes.URL_FETCH_FAILED, `imageUrl exceeded the limit of ${MAX_REDIRECTS} redirects.`);
+        }
+        currentUrl = checkUrl(new URL(headers.location, currentUrl).href);
+        continue;
+      }
+
+      if (status < 200 || status >= 300) {
+        response.data.destroy();
+        throw fetchError(ErrorCodes.URL_FETCH_FAILED, `imageUrl responded with HTTP ${status}.`);
+      }
+
+      const mimeType = String(headers['content-type'] || 'application/octet-stream')
+        .split(';')[0]
+        .trim()
+        .toLowerCase();
+      if (!ALLOWED_CONTENT_TYPE.test(mimeType)) {
+        response.data.destroy();
+        throw fetchError(ErrorCodes.UNSUPPORTED_TYPE, `Unsupported file type: ${mimeType}. Only images and PDFs are allowed.`);
+      }
+
+      const contentLength = parseInt(headers['content-length'], 10);
+      if (contentLength > MAX_BYTES) {
+        response.data.destroy();
+        throw fetchError(ErrorCodes.FILE_TOO_LARGE, `Remote file exceeds maximum size of ${MAX_BYTES} bytes. Size: ${contentLength} bytes.`);
+      }
+
+      let data;
+      try {
+        data = await readBody(response.data, controller);
+      } catch (error) {
+        if (error.code === ErrorCodes.FILE_TOO_LARGE) throw error;
+        throw fetchError(ErrorCodes.URL_FETCH_FAILED, controller.signal.aborted
+          ? `Fetching imageUrl timed out after ${TIMEOUT_MS}ms.`
+          : `Could not read imageUrl: ${error.message}`);
+      }
+      return { data, mimeType, url: currentUrl.href };
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  fetchRemoteDocument,
+  isAddressAllowed,
+};
@@ -0,0 +1,189 @@
+/**
+ * Webhook Delivery Service
+ * POSTs OCR results to client supplied callback URLs, signed with HMAC-SHA256,
+ * retrying failed deliveries with exponential backoff. Every attempt is
+ * recorded so clients can query what happened to a delivery.
+ *
+ * Callbacks to loopback, private and link-local addresses are refused like
+ * imageUrl downloads; WEBHOOK_ALLOWED_HOSTS lists host names and/or CIDR
+ * ranges that may receive them anyway, e.g. "hooks.internal.example,10.20.0.0/16".
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { LRUCache } = require('lru-cache');
+const { createAddressGuard, isBlockedError } = require('./addressGuard');
+const logger = require('./logger');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 1000;
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+const SIGNATURE_HEADER = 'X-OCR-Signature';
+const DELIVERY_ID_HEADER = 'X-OCR-Delivery-Id';
+const TIMESTAMP_HEADER = 'X-OCR-Timestamp';
+
+const { isHostAllowed, httpAgent, httpsAgent } =
+  createAddressGuard(process.env.WEBHOOK_ALLOWED_HOSTS);
+
+// Delivery records, kept for a day so clients can inspect attempts
+const deliveries = new LRUCache({
+  max: 5000,
+  ttl: 24 * 60 * 60 * 1000,
+});
+
+function isWebhookConfigured() {
+  return Boolean(process.env.WEBHOOK_SECRET);
+}
+
+/**
+ * Validate a client supplied callback URL, returning an error message or null
+ */
+function validateCallbackUrl(callbackUrl) {
+  if (typeof callbackUrl !== 'string') {
+    return 'callbackUrl must be a string.';
+  }
+  let parsed;
+  try {
+    parsed = new URL(callbackUrl);
+  } catch (error) {
+    return 'callbackUrl is not a valid URL.';
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return 'callbackUrl must use http or https.';
+  }
+  // Host names are checked when they are resolved for each attempt
+  if (!isHostAllowed(parsed.hostname)) {
+    return 'callbackUrl points to a blocked address.';
+  }
+  if (!isWebhookConfigured()) {
+    return 'Webhook callbacks are not enabled on this server.';
+  }
+  return null;
+}
+
+/**
+ * HMAC-SHA256 signature over `<timestamp>.<body>`, hex encoded
+ */
+function signPayload(body, timestamp, secret = process.env.WEBHOOK_SECRET) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+}
+
+/**
+ * Verify a received webhook - for receivers written in Node
+ */
+function verifySignature(body, timestamp, signatureHeader, secret = process.env.WEBHOOK_SECRET) {
+  const expected = Buffer.from(`sha256=${signPayload(body, timestamp, secret)}`);
+  const received = Buffer.from(String(signatureHeader || ''));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Queue a signed delivery of `data` to `callbackUrl` and return its id.
+ * Delivery happens in the background; callers never wait on the receiver.
+ */
+function scheduleDelivery(callbackUrl, event, data) {
+  const delivery = {
+    id: crypto.randomUUID(),
+    url: callbackUrl,
+    event,
+    state: 'pending',
+    createdAt: new Date().toISOString(),
+    deliveredAt: null,
+    attempts: [],
+  };
+  deliveries.set(delivery.id, delivery);
+
+  deliver(delivery, data).catch((error) => {
+    logger.error(`Webhook delivery ${delivery.id} crashed: ${error.message}`);
+    delivery.state = 'failed';
+  });
+
+  return delivery.id;
+}
+
+async function deliver(delivery, data) {
+  // The body is serialized once so every retry carries identical bytes
+  const body = JSON.stringify({
+    id: delivery.id,
+    event: delivery.event,
+    createdAt: delivery.createdAt,
+    data,
+  });
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const attemptStartTime = Date.now();
+    const record = {
+      attempt,
+      at: new Date(attemptStartTime).toISOString(),
+      statusCode: null,
+      error: null,
+      duration: 0,
+    };
+    let blocked = false;
+
+    try {
+      const response = await axios.post(delivery.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          [SIGNATURE_HEADER]: `sha256=${signPayload(body, timestamp)}`,
+          [DELIVERY_ID_HEADER]: delivery.id,
+          [TIMESTAMP_HEADER]: timestamp,
+        },
+        timeout: REQUEST_TIMEOUT_MS,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        httpAgent,
+        httpsAgent,
+        proxy: false,
+      });
+      record.statusCode = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        record.error = `Receiver responded with status ${response.status}`;
+      }
+    } catch (error) {
+      record.error = error.message;
+      blocked = isBlockedError(error);
+    }
+
+    record.duration = (Date.now() - attemptStartTime) / 1000;
+    delivery.attempts.push(record);
+
+    if (!record.error) {
+      delivery.state = 'delivered';
+      delivery.deliveredAt = new Date().toISOString();
+      logger.info(`Webhook ${delivery.id} delivered to ${delivery.url} on attempt ${attempt}`);
+      return;
+    }
+
+    logger.error(`Webhook ${delivery.id} attempt ${attempt} to ${delivery.url} failed: ${record.error}`);
+
+    // A blocked address stays blocked, retrying would not help
+    if (blocked) break;
+
+    if (attempt < MAX_ATTEMPTS) {
+      // Exponential backoff: 1s, 2s, 4s, ...
+      await sleep(RETRY_BASE_MS * 2 ** (attempt - 1));
+    }
+  }
+
+  delivery.state = 'failed';
+}
+
+function getDelivery(id) {
+  return deliveries.get(id) || null;
+}
+
+module.exports = {
+  validateCallbackUrl,
+  scheduleDelivery,
+  getDelivery,
+  signPayload,
+  verifySignature,
+};
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createAddressGuard, isBlockedError } = require('../services/addressGuard');
+
+test('non-public addresses are blocked', () => {
+  const { isAddressAllowed } = createAddressGuard('');
+  for (const address of [
+    '127.0.0.1',
+    '10.1.2.3',
+    '172.16.0.1',
+    '192.168.1.1',
+    '169.254.169.254',
+    '100.64.0.1',
+    '0.0.0.0',
+    '::',
+    '::1',
+    '::ffff:127.0.0.1',
+    'fc00::1',
+    'fe80::1',
+    'ff02::1',
+  ]) {
+    assert.strictEqual(isAddressAllowed(address), false, address);
+  }
+});
+
+test('public addresses are allowed', () => {
+  const { isAddressAllowed } = createAddressGuard('');
+  for (const address of ['8.8.8.8', '1.1.1.1', '2606:4700::1111', '::ffff:8.8.8.8']) {
+    assert.strictEqual(isAddressAllowed(address), true, address);
+  }
+});
+
+test('NAT64 and 6to4 addresses are checked as their embedded IPv4 address', () => {
+  const { isAddressAllowed } = createAddressGuard('');
+  assert.strictEqual(isAddressAllowed('64:ff9b::7f00:1'), false);
+  assert.strictEqual(isAddressAllowed('64:ff9b::169.254.169.254'), false);
+  assert.strictEqual(isAddressAllowed('2002:c0a8:101::1'), false);
+  assert.strictEqual(isAddressAllowed('64:ff9b::808:808'), true);
+  assert.strictEqual(isAddressAllowed('2002:808:808::1'), true);
+  // The local-use NAT64 prefix may translate to any network
+  assert.strictEqual(isAddressAllowed('64:ff9b:1::808:808'), false);
+});
+
+test('allow-listed ranges may be requested', () => {
+  const { isAddressAllowed, isHostAllowed } = createAddressGuard('docs.internal.example, 10.20.0.0/16');
+  assert.strictEqual(isAddressAllowed('10.20.5.5'), true);
+  assert.strictEqual(isAddressAllowed('10.21.0.1'), false);
+  assert.strictEqual(isAddressAllowed('64:ff9b::a14:505'), true);
+  assert.strictEqual(isHostAllowed('[::1]'), false);
+  assert.strictEqual(isHostAllowed('10.20.0.1'), true);
+  // Host names are checked once they are resolved
+  assert.strictEqual(isHostAllowed('docs.internal.example'), true);
+});
+
+test('requests resolving to a blocked address fail with URL_BLOCKED', async () => {
+  const { httpAgent } = createAddressGuard('');
+  const error = await new Promise((resolve) => {
+    http.get('http://localhost:9/', { agent: httpAgent }, () => resolve(null)).on('error', resolve);
+  });
+  assert.ok(error);
+  assert.strictEqual(isBlockedError(error), true);
+});
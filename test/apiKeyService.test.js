@@ -0,0 +1,90 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+
+process.env.API_KEYS = JSON.stringify({
+  tiers: { tiny: { requestsPerMinute: 2, requestsPerDay: 3, pagesPerMinute: 5, pagesPerDay: 100 } },
+  keys: [
+    { key: 'tiny-key', name: 'tiny', tier: 'tiny' },
+    { key: 'page-key', name: 'pages', tier: 'tiny', limits: { requestsPerMinute: 100, requestsPerDay: 100 } },
+  ],
+});
+
+mock.timers.enable({ apis: ['Date'], now: Date.UTC(2024, 0, 1, 12, 0, 0) });
+
+const express = require('express');
+const {
+  requireApiKey,
+  requirePageQuota,
+  chargeAdditionalPages,
+  describeUsage,
+} = require('../services/apiKeyService');
+
+// Every POST charges the number of pages in its body
+const app = express();
+app.use(express.json());
+app.use('/api/ocr', requireApiKey);
+app.post('/api/ocr/base64', requirePageQuota((req) => req.body.pages), (req, res) => {
+  res.json({ usage: describeUsage(req.apiKey).usage });
+});
+app.get('/api/ocr/usage', (req, res) => res.json(describeUsage(req.apiKey)));
+
+async function withServer(t) {
+  const server = app.listen(0, '127.0.0.1');
+  t.after(() => server.close());
+  await new Promise((resolve) => server.once('listening', resolve));
+  return (method, headers, body) =>
+    fetch(`http://127.0.0.1:${server.address().port}/api/ocr/${method === 'GET' ? 'usage' : 'base64'}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body && JSON.stringify(body),
+    });
+}
+
+test('requests without a known key are rejected', async (t) => {
+  const request = await withServer(t);
+  assert.strictEqual((await request('POST', {}, { pages: 1 })).status, 401);
+  assert.strictEqual((await request('POST', { 'X-API-Key': 'unknown' }, { pages: 1 })).status, 401);
+  assert.strictEqual((await request('GET', { Authorization: 'Bearer page-key' })).status, 200);
+});
+
+test('request quotas reject with Retry-After until the window resets', async (t) => {
+  const request = await withServer(t);
+  const headers = { 'X-API-Key': 'tiny-key' };
+  assert.strictEqual((await request('POST', headers, { pages: 1 })).status, 200);
+  // Polling does not count against the request quotas
+  assert.strictEqual((await request('GET', headers)).status, 200);
+  assert.strictEqual((await request('POST', headers, { pages: 1 })).status, 200);
+
+  const rejected = await request('POST', headers, { pages: 1 });
+  assert.strictEqual(rejected.status, 429);
+  assert.strictEqual(rejected.headers.get('Retry-After'), '60');
+
+  mock.timers.tick(60 * 1000);
+  assert.strictEqual((await request('POST', headers, { pages: 1 })).status, 200);
+  // The daily quota of 3 requests is used up now
+  const daily = await request('POST', headers, { pages: 1 });
+  assert.strictEqual(daily.status, 429);
+  assert.ok(Number(daily.headers.get('Retry-After')) > 60);
+});
+
+test('page quotas count the pages of every request', async (t) => {
+  const request = await withServer(t);
+  const headers = { 'X-API-Key': 'page-key' };
+  const accepted = await request('POST', headers, { pages: 4 });
+  assert.strictEqual(accepted.status, 200);
+  assert.strictEqual((await accepted.json()).usage.minute.pages, 4);
+
+  const rejected = await request('POST', headers, { pages: 2 });
+  assert.strictEqual(rejected.status, 429);
+  assert.ok(rejected.headers.get('Retry-After'));
+  assert.strictEqual((await request('POST', headers, { pages: 1 })).status, 200);
+});
+
+test('additional pages are charged until the quota is used up', () => {
+  const apiKey = { key: 'extra-key', name: 'extra', limits: { pagesPerMinute: 3 } };
+  assert.strictEqual(chargeAdditionalPages(apiKey, 2), null);
+  assert.match(chargeAdditionalPages(apiKey, 2), /^Quota exceeded: 3 pages per minute/);
+  assert.strictEqual(chargeAdditionalPages(apiKey, 1), null);
+  assert.strictEqual(chargeAdditionalPages(null, 100), null);
+  assert.strictEqual(describeUsage(apiKey).usage.total.pages, 3);
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { extractEntities, parseAmount } = require('../services/entityExtraction');
+
+const phones = (text) => extractEntities(text, ['phone']).map((entity) => entity.normalized);
+const dates = (text) => extractEntities(text, ['date']).map((entity) => entity.normalized);
+
+test('phone numbers in common formats are found', () => {
+  assert.deepStrictEqual(phones('Call +49 30 1234567'), ['+49301234567']);
+  assert.deepStrictEqual(phones('Tel (555) 123-4567'), ['5551234567']);
+  assert.deepStrictEqual(phones('Tel 555-123-4567 or 555.123.4567'), ['5551234567', '5551234567']);
+  assert.deepStrictEqual(phones('Office 020 7946 0958'), ['02079460958']);
+  assert.deepStrictEqual(phones('Bureau 01 23 45 67 89'), ['0123456789']);
+});
+
+test('other digit groups are not phone numbers', () => {
+  assert.deepStrictEqual(phones('Qty 10 20 30 40'), []);
+  assert.deepStrictEqual(phones('Account 1234 5678'), []);
+  assert.deepStrictEqual(phones('Order 100.000.000'), []);
+  assert.deepStrictEqual(phones('Period 2019-2024'), []);
+  assert.deepStrictEqual(phones('Invoice 12345678'), []);
+});
+
+test('impossible dates are neither dates nor phone numbers', () => {
+  for (const text of ['Due 2024-02-30', 'Due 2024-13-01']) {
+    assert.deepStrictEqual(extractEntities(text, true), [], text);
+  }
+});
+
+test('version numbers are not dates', () => {
+  assert.deepStrictEqual(dates('Firmware v1.2.3.4567'), []);
+  assert.deepStrictEqual(dates('Build 1.2024.01.05'), []);
+});
+
+test('dates are normalized to ISO 8601', () => {
+  assert.deepStrictEqual(dates('Issued 31.01.2024, due 2024-02-29.'), ['2024-01-31', '2024-02-29']);
+  assert.deepStrictEqual(dates('January 31, 2024 and 1st Feb 2024'), ['2024-01-31', '2024-02-01']);
+});
+
+test('entities carry offsets into the text and do not overlap', () => {
+  const text = 'Total: EUR 1.234,56 on 03/04/2024';
+  const entities = extractEntities(text, true);
+  assert.deepStrictEqual(
+    entities.map(({ type, normalized }) => [type, normalized]),
+    [['amount', '1234.56'], ['date', '2024-04-03']]
+  );
+  for (const entity of entities) {
+    assert.strictEqual(text.slice(entity.start, entity.end), entity.value);
+  }
+  assert.strictEqual(entities[0].currency, 'EUR');
+});
+
+test('localized amounts are parsed', () => {
+  assert.strictEqual(parseAmount('1,234.56'), '1234.56');
+  assert.strictEqual(parseAmount('1.234,56'), '1234.56');
+  assert.strictEqual(parseAmount('1 234'), '1234');
+});
@@ -0,0 +1,64 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+
+// One key with room for a single page per minute
+process.env.API_KEYS = JSON.stringify({
+  keys: [{ key: 'test-key', name: 'test', limits: { requestsPerMinute: 100, pagesPerMinute: 1 } }],
+});
+
+mock.timers.enable({ apis: ['Date'], now: Date.UTC(2024, 0, 1, 12, 0, 0) });
+
+const express = require('express');
+const { requireApiKey, requirePageQuota } = require('../services/apiKeyService');
+const { idempotency } = require('../services/idempotency');
+
+// Same middleware order as the OCR routes, with a counter standing in for the OCR
+let ocrRuns = 0;
+const app = express();
+app.use(express.json());
+app.use('/api/ocr', requireApiKey);
+app.post('/api/ocr/base64', idempotency, requirePageQuota(() => 1), (req, res) => {
+  ocrRuns++;
+  res.json({ run: ocrRuns });
+});
+
+function post(server, idempotencyKey, body) {
+  return fetch(`http://127.0.0.1:${server.address().port}/api/ocr/base64`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-API-Key': 'test-key',
+      'Idempotency-Key': idempotencyKey,
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+test('a retry after the page quota resets runs the OCR', async (t) => {
+  const server = app.listen(0, '127.0.0.1');
+  t.after(() => server.close());
+  await new Promise((resolve) => server.once('listening', resolve));
+
+  const first = await post(server, 'first', { imageUrl: 'https://example.com/a.png' });
+  assert.strictEqual(first.status, 200);
+  assert.deepStrictEqual(await first.json(), { run: 1 });
+
+  const rejected = await post(server, 'second', { imageUrl: 'https://example.com/b.png' });
+  assert.strictEqual(rejected.status, 429);
+  assert.ok(rejected.headers.get('Retry-After'));
+  assert.strictEqual(ocrRuns, 1);
+
+  mock.timers.tick(60 * 1000);
+
+  const retried = await post(server, 'second', { imageUrl: 'https://example.com/b.png' });
+  assert.strictEqual(retried.status, 200);
+  assert.strictEqual(retried.headers.get('Idempotent-Replayed'), null);
+  assert.deepStrictEqual(await retried.json(), { run: 2 });
+
+  // Successful responses are still replayed without running the OCR again
+  const replayed = await post(server, 'first', { imageUrl: 'https://example.com/a.png' });
+  assert.strictEqual(replayed.status, 200);
+  assert.strictEqual(replayed.headers.get('Idempotent-Replayed'), 'true');
+  assert.deepStrictEqual(await replayed.json(), { run: 1 });
+  assert.strictEqual(ocrRuns, 2);
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parsePageRange, createPagedResult, selectPages } = require('../services/pagedDocument');
+const { ErrorCodes } = require('../services/errorCodes');
+
+test('an empty range selects every page', () => {
+  assert.deepStrictEqual(parsePageRange(undefined, 3), [1, 2, 3]);
+  assert.deepStrictEqual(parsePageRange(' ', 2), [1, 2]);
+});
+
+test('ranges are parsed into sorted, unique page numbers', () => {
+  assert.deepStrictEqual(parsePageRange('1-3,5,8-', 10), [1, 2, 3, 5, 8, 9, 10]);
+  assert.deepStrictEqual(parsePageRange('5, 2 - 3,2', 6), [2, 3, 5]);
+  assert.deepStrictEqual(parsePageRange(4, 4), [4]);
+});
+
+test('invalid ranges are rejected with INVALID_PAGE_RANGE', () => {
+  for (const range of ['a', '1-2-3', '3-1', '0', '-2', '1,,2', '11', '9-11']) {
+    assert.throws(() => parsePageRange(range, 10), { code: ErrorCodes.INVALID_PAGE_RANGE }, range);
+  }
+});
+
+test('selectPages records an invalid range on the result', () => {
+  const result = createPagedResult('scan.tif');
+  assert.strictEqual(selectPages(result, '4', 3), null);
+  assert.strictEqual(result.pageCount, 3);
+  assert.strictEqual(result.errorCode, ErrorCodes.INVALID_PAGE_RANGE);
+  assert.match(result.error, /out of range/);
+});
+
+test('selectPages refuses more pages than a document may have OCRed', () => {
+  const result = createPagedResult('big.pdf');
+  assert.strictEqual(selectPages(result, '', 51), null);
+  assert.strictEqual(result.errorCode, ErrorCodes.INVALID_PAGE_RANGE);
+  assert.match(result.error, /At most 50 pages/);
+});
+
+test('selectPages charges the selected pages', () => {
+  const charged = [];
+  const chargePages = (count) => {
+    charged.push(count);
+    return null;
+  };
+  const result = createPagedResult('doc.pdf');
+  assert.deepStrictEqual(selectPages(result, '2-3', 5, chargePages), [2, 3]);
+  assert.deepStrictEqual(charged, [2]);
+
+  const rejected = createPagedResult('doc.pdf');
+  assert.strictEqual(selectPages(rejected, '', 5, () => 'Quota exceeded'), null);
+  assert.deepStrictEqual([rejected.errorCode, rejected.error], [ErrorCodes.QUOTA_EXCEEDED, 'Quota exceeded']);
+});
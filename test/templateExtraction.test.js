@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { extractTemplateFields, getTemplateNames } = require('../services/templateExtraction');
+
+const invoice = [
+  'ACME Supplies Ltd',
+  'Invoice No: INV-2024-001',
+  'Invoice Date: 31.01.2024',
+  'Due Date',
+  '2024-02-29',
+  'Subtotal: EUR 100,00',
+  'VAT: EUR 19,00',
+  'Total: EUR 119,00',
+  'IBAN: DE89 3704 0044 0532 0130 00',
+].join('\n');
+
+test('the bundled templates are loaded', () => {
+  assert.ok(getTemplateNames().includes('invoice'));
+  assert.ok(getTemplateNames().includes('receipt'));
+});
+
+test('fields are read after their anchors and converted to their types', () => {
+  const { fields, missingRequired } = extractTemplateFields(invoice, 'invoice');
+  assert.deepStrictEqual(missingRequired, []);
+  assert.strictEqual(fields.invoiceNumber.value, 'INV-2024-001');
+  assert.strictEqual(fields.date.value, '2024-01-31');
+  assert.deepStrictEqual([fields.total.value, fields.total.currency], [119, 'EUR']);
+  assert.strictEqual(fields.iban.value, 'DE89370400440532013000');
+  for (const field of Object.values(fields).filter(Boolean)) {
+    assert.strictEqual(invoice.slice(field.start, field.end), field.text);
+  }
+});
+
+test('a value on the line below its anchor has medium confidence', () => {
+  const { dueDate } = extractTemplateFields(invoice, 'invoice').fields;
+  assert.deepStrictEqual([dueDate.value, dueDate.confidence, dueDate.anchor], ['2024-02-29', 'medium', 'Due Date']);
+});
+
+test('anchors do not match inside longer words', () => {
+  const { fields } = extractTemplateFields('Subtotal: EUR 100,00', 'invoice');
+  assert.strictEqual(fields.subtotal.value, 100);
+  assert.strictEqual(fields.total, null);
+});
+
+test('missing required fields are listed', () => {
+  const { fields, missingRequired } = extractTemplateFields('Thank you for your order', 'invoice');
+  assert.strictEqual(fields.total, null);
+  assert.deepStrictEqual(missingRequired, ['invoiceNumber', 'date', 'total']);
+});
@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.WEBHOOK_SECRET = 'test-secret';
+
+const { signPayload, verifySignature, validateCallbackUrl } = require('../services/webhookService');
+
+const body = JSON.stringify({ id: 'delivery', event: 'job.completed', data: { results: [] } });
+const timestamp = '1700000000';
+
+test('a signature made with the secret verifies', () => {
+  const signature = `sha256=${signPayload(body, timestamp)}`;
+  assert.strictEqual(verifySignature(body, timestamp, signature), true);
+});
+
+test('signatures do not verify for other bodies, timestamps or secrets', () => {
+  const signature = `sha256=${signPayload(body, timestamp)}`;
+  assert.strictEqual(verifySignature(`${body} `, timestamp, signature), false);
+  assert.strictEqual(verifySignature(body, '1700000001', signature), false);
+  assert.strictEqual(verifySignature(body, timestamp, signature, 'other-secret'), false);
+  assert.strictEqual(verifySignature(body, timestamp, signPayload(body, timestamp)), false);
+  assert.strictEqual(verifySignature(body, timestamp, undefined), false);
+});
+
+test('callback URLs pointing to blocked addresses are refused', () => {
+  assert.strictEqual(validateCallbackUrl('https://hooks.example.com/ocr'), null);
+  for (const url of [
+    'http://127.0.0.1/hook',
+    'http://[::1]/hook',
+    'http://169.254.169.254/latest',
+    'http://[64:ff9b::a9fe:a9fe]/latest',
+    'http://[2002:a00:1::]/hook',
+  ]) {
+    assert.strictEqual(validateCallbackUrl(url), 'callbackUrl points to a blocked address.', url);
+  }
+  assert.strictEqual(validateCallbackUrl('ftp://hooks.example.com/ocr'), 'callbackUrl must use http or https.');
+});